@@ -0,0 +1,65 @@
+/* ═══════════════════════════════════════════════════════════════
+   BUILD-TIME CONTENT
+   src/content read with fs for the build plugins, parsed the same
+   way the site's modules parse it through import.meta.glob.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseFrontMatter } from '../src/js/markdown.js';
+
+function readMarkdown(dir) {
+    return readdirSync(dir)
+        .filter((file) => file.endsWith('.md'))
+        .map((file) => ({ file, ...parseFrontMatter(readFileSync(join(dir, file), 'utf8')) }));
+}
+
+function parseDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function parseTags(value) {
+    return Array.isArray(value) ? value.map(String) : [];
+}
+
+// Newest first, as feeds and listings expect; drafts are left out
+export function readPosts(contentDir) {
+    return readMarkdown(join(contentDir, 'posts'))
+        .filter(({ data }) => data.draft !== true)
+        .map(({ file, data, body }) => ({
+            file,
+            title: data.title || file.replace(/\.md$/, ''),
+            summary: data.summary || '',
+            tags: parseTags(data.tags),
+            date: parseDate(data.date),
+            body: body.trim(),
+        }))
+        .sort((a, b) => b.date - a.date);
+}
+
+// Alphabetical, like the ~/projects listing
+export function readProjects(contentDir) {
+    return readMarkdown(join(contentDir, 'projects'))
+        .map(({ file, data }) => ({
+            name: data.name || file.replace(/\.md$/, ''),
+            description: data.description || '',
+            repo: data.repo || '',
+            tags: parseTags(data.tags),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// In skills.json order, like the ~/skills grid
+export function readSkills(contentDir) {
+    const metaFile = join(contentDir, 'skills.json');
+    const meta = existsSync(metaFile) ? JSON.parse(readFileSync(metaFile, 'utf8')) : {};
+
+    return readdirSync(join(contentDir, 'skills'))
+        .map((name) => ({
+            name,
+            tags: meta[name]?.tags || [],
+            order: meta[name]?.order ?? Infinity,
+        }))
+        .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
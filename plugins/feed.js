@@ -0,0 +1,103 @@
+/* ═══════════════════════════════════════════════════════════════
+   FEED PLUGIN
+   Atom feed of src/content/posts for feed readers: emitted as
+   dist/feed.xml by `vite build`, served at /feed.xml by the dev
+   server, and advertised with a <link rel="alternate"> in index.html.
+   Posts marked `draft: true` stay out of the feed and the bundle.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { escapeHtml, parseFrontMatter, renderMarkdown } from '../src/js/markdown.js';
+import { readPosts } from './content.js';
+
+const FEED_FILE = 'feed.xml';
+
+// What src/js/posts.js gets for a draft instead of its text: just the flag it skips
+const DRAFT_STUB = '---\ndraft: true\n---\n';
+
+function renderEntry(post, siteUrl) {
+    const url = `${siteUrl}/#/posts/${encodeURIComponent(post.file)}`;
+    const categories = post.tags
+        .map((tag) => `    <category term="${escapeHtml(tag)}"/>`)
+        .join('\n');
+
+    return [
+        '  <entry>',
+        `    <title>${escapeHtml(post.title)}</title>`,
+        `    <id>${escapeHtml(url)}</id>`,
+        `    <link href="${escapeHtml(url)}"/>`,
+        `    <updated>${post.date.toISOString()}</updated>`,
+        post.summary ? `    <summary>${escapeHtml(post.summary)}</summary>` : '',
+        categories,
+        `    <content type="html">${escapeHtml(renderMarkdown(post.body))}</content>`,
+        '  </entry>',
+    ].filter(Boolean).join('\n');
+}
+
+export function renderFeed(posts, { siteUrl, title, author }) {
+    const updated = posts.length > 0 ? posts[0].date : new Date(0);
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeHtml(title)}</title>`,
+        `  <id>${escapeHtml(`${siteUrl}/`)}</id>`,
+        `  <link href="${escapeHtml(`${siteUrl}/`)}"/>`,
+        `  <link rel="self" href="${escapeHtml(`${siteUrl}/${FEED_FILE}`)}"/>`,
+        `  <updated>${updated.toISOString()}</updated>`,
+        `  <author><name>${escapeHtml(author)}</name></author>`,
+        ...posts.map((post) => renderEntry(post, siteUrl)),
+        '</feed>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * options:
+ *   contentDir - src/content, holding posts/*.md
+ *   siteUrl    - absolute origin the site is served from, no trailing slash
+ *   title      - feed title
+ *   author     - feed author name
+ */
+export function feedPlugin({ contentDir, siteUrl, title, author }) {
+    const build = () => renderFeed(readPosts(contentDir), { siteUrl, title, author });
+    const postsDir = join(contentDir, 'posts');
+
+    return {
+        name: 'dev-site:feed',
+
+        configureServer(server) {
+            server.middlewares.use(`/${FEED_FILE}`, (req, res) => {
+                res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+                res.end(build());
+            });
+        },
+
+        transformIndexHtml() {
+            return [{
+                tag: 'link',
+                attrs: {
+                    rel: 'alternate',
+                    type: 'application/atom+xml',
+                    title,
+                    href: `/${FEED_FILE}`,
+                },
+                injectTo: 'head',
+            }];
+        },
+
+        // posts.js imports every post `?raw`; drafts ship as a stub, not their text
+        transform(code, id) {
+            const [file, query] = id.split('?');
+            if (query !== 'raw' || !file.startsWith(postsDir) || !file.endsWith('.md')) return null;
+
+            const { data } = parseFrontMatter(readFileSync(file, 'utf8'));
+            return data.draft === true ? `export default ${JSON.stringify(DRAFT_STUB)};` : null;
+        },
+
+        generateBundle() {
+            this.emitFile({ type: 'asset', fileName: FEED_FILE, source: build() });
+        },
+    };
+}
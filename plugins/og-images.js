@@ -0,0 +1,107 @@
+/* ═══════════════════════════════════════════════════════════════
+   OPEN GRAPH IMAGES
+   Called by the seo plugin once `vite build` has written dist/:
+   builds a `--mode test` copy of the site (the only one that lets
+   a script drive the camera), boots it in headless Chrome, turns
+   the camera to each panel and saves a 1200×630 screenshot as
+   dist/og/<panel id>.png, then points that panel's page
+   (dist/index.html, dist/skills/index.html, ...) at it through
+   its og:image and twitter:image tags.
+
+   Needs Chrome for Puppeteer (`npx puppeteer browsers install chrome`).
+   Any failure fails the build before a page is touched, so no page
+   points at an image that was never captured.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { build } from 'vite';
+import {
+    freezeAnimations,
+    launchBrowser,
+    openPortfolio,
+    startServer,
+    waitForCamera,
+} from '../scripts/browser.js';
+import { getPanelView, PANELS } from '../src/js/panels.js';
+import { addPreviewImage, getPanelPagePath } from './seo.js';
+
+// The size link previews expect
+const IMAGE_SIZE = { width: 1200, height: 630 };
+
+// Controls that mean nothing in a still image
+const HIDDEN_CHROME = '.nav-hud, .shell, .mode-toggle, .gyro-button, .window-dock { display: none !important; }';
+
+// Absolute image URL on the same origin as the page's canonical URL
+function imageUrlFor(html, panel) {
+    const canonical = html.match(/<link rel="canonical" href="([^"]+)">/);
+    if (!canonical) {
+        throw new Error(`${getPanelPagePath(panel)}index.html has no canonical URL; is the seo plugin enabled?`);
+    }
+    return new URL(`/og/${panel.id}.png`, canonical[1]).href;
+}
+
+async function capturePanels(url, outputDir) {
+    const browser = await launchBrowser();
+    try {
+        const { page, errors } = await openPortfolio(browser, url, {
+            viewport: { ...IMAGE_SIZE, deviceScaleFactor: 1 },
+        });
+        await freezeAnimations(page);
+        await page.addStyleTag({ content: HIDDEN_CHROME });
+        // Park the pointer off the panels so nothing is hovered
+        await page.mouse.move(0, 0);
+
+        await mkdir(outputDir, { recursive: true });
+        for (const panel of PANELS) {
+            const { theta, phi } = getPanelView(panel);
+            await page.evaluate((view) => {
+                window.portfolio.getActiveScene().controls.lookAt(view.theta, view.phi, true);
+            }, { theta, phi });
+            await waitForCamera(page);
+
+            await writeFile(join(outputDir, `${panel.id}.png`), await page.screenshot({ type: 'png' }));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`page errors while capturing:\n${errors.map(String).join('\n')}`);
+        }
+    } finally {
+        await browser.close();
+    }
+}
+
+async function linkImages(outDir) {
+    for (const panel of PANELS) {
+        const file = join(outDir, getPanelPagePath(panel), 'index.html');
+        const html = await readFile(file, 'utf8');
+        await writeFile(file, addPreviewImage(html, imageUrlFor(html, panel), IMAGE_SIZE));
+    }
+}
+
+/**
+ * Screenshot every panel into `<outDir>/og/` and link the pages to them.
+ * root - project root (where vite.config.js lives); outDir - absolute build output
+ */
+export async function generateOgImages({ root, outDir }) {
+    const captureDir = await mkdtemp(join(tmpdir(), 'dev-site-og-'));
+    try {
+        await build({
+            root,
+            mode: 'test',
+            logLevel: 'warn',
+            build: { outDir: captureDir, emptyOutDir: true },
+        });
+
+        const server = await startServer({ outDir: captureDir });
+        try {
+            await capturePanels(server.url, join(outDir, 'og'));
+        } finally {
+            await server.close();
+        }
+        await linkImages(outDir);
+    } finally {
+        await rm(captureDir, { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,295 @@
+/* ═══════════════════════════════════════════════════════════════
+   SEO PLUGIN
+   Everything a crawler or link preview needs without running the
+   3D scene, where all content sits in transparent CSS3D panels:
+     - description, canonical, Open Graph and Twitter card tags
+     - JSON-LD Person data
+     - a <noscript> reading version of the panel content
+     - one pre-rendered page per panel at its deep-link path
+       (/skills/ for #/skills), which hands over to the hash route
+     - sitemap.xml and robots.txt
+   After the build, plugins/og-images.js screenshots each panel for
+   its preview image (turn off with `previewImages: false`).
+   The dev server renders the same head and <noscript> for each path.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { resolve } from 'node:path';
+import { escapeHtml } from '../src/js/markdown.js';
+import { PANELS } from '../src/js/panels.js';
+import { formatRoute, parseRoute } from '../src/js/router.js';
+import { readPosts, readProjects, readSkills } from './content.js';
+
+// Replaced per page in the built index.html
+const HEAD_MARKERS = ['<!-- seo:head -->', '<!-- /seo:head -->'];
+const BODY_MARKERS = ['<!-- seo:body -->', '<!-- /seo:body -->'];
+
+// Without JavaScript the boot overlay never lifts; hide the scene chrome instead
+const NOSCRIPT_STYLE = '.boot-overlay, #threejs-container, .nav-hud, .shell, .mode-toggle, ' +
+    '#reading-view, .panel-3d, .skill-popup-3d { display: none !important; }';
+
+// `~/skills` -> `/skills/`, `~` -> `/`
+export function getPanelPagePath(panel) {
+    return panel.path === '~' ? '/' : `${panel.path.slice(1)}/`;
+}
+
+// Hash deep link for a panel or a file in it, usable from any page
+function deepLink(route) {
+    return `/${formatRoute(route)}`;
+}
+
+function list(items) {
+    return items.length > 0 ? `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>` : '';
+}
+
+function tagList(tags) {
+    return tags.length > 0 ? ` <small>(${tags.map(escapeHtml).join(', ')})</small>` : '';
+}
+
+// ═══ PANEL CONTENT ═══
+
+// Per panel id: { description, html } for the meta tags and the <noscript> version,
+// or null to fall back to the panel's caption
+const PANEL_CONTENT = {
+    hero(panel, { person, description }) {
+        const links = [
+            ...person.sameAs.map((url) => `<a href="${escapeHtml(url)}">${escapeHtml(new URL(url).hostname)}</a>`),
+            person.email ? `<a href="mailto:${escapeHtml(person.email)}">${escapeHtml(person.email)}</a>` : '',
+        ].filter(Boolean);
+
+        return {
+            description,
+            html: `<p>${escapeHtml(description)}</p>${list(links)}`,
+        };
+    },
+
+    skills(panel, { contentDir }) {
+        const skills = readSkills(contentDir);
+        const tags = [...new Set(skills.flatMap((skill) => skill.tags))];
+
+        return {
+            description: `Skills: ${tags.join(', ')}.`,
+            html: list(skills.map((skill) =>
+                `<a href="${deepLink({ panel, file: skill.name })}">${escapeHtml(skill.name)}</a>${tagList(skill.tags)}`)),
+        };
+    },
+
+    projects(panel, { contentDir }) {
+        const projects = readProjects(contentDir);
+
+        return {
+            description: `Projects: ${projects.map((project) => project.name).join(', ')}.`,
+            html: list(projects.map((project) => [
+                `<a href="${deepLink({ panel, file: project.name })}">${escapeHtml(project.name)}</a>`,
+                project.description ? ` - ${escapeHtml(project.description)}` : '',
+                tagList(project.tags),
+                project.repo ? ` <a href="${escapeHtml(project.repo)}">source</a>` : '',
+            ].join(''))),
+        };
+    },
+
+    posts(panel, { contentDir }) {
+        const posts = readPosts(contentDir);
+        if (posts.length === 0) return null;
+
+        return {
+            description: `Posts: ${posts.map((post) => post.title).join(', ')}.`,
+            html: list(posts.map((post) => [
+                `<a href="${deepLink({ panel, file: post.file })}">${escapeHtml(post.title)}</a>`,
+                ` <time datetime="${post.date.toISOString().slice(0, 10)}">${post.date.toISOString().slice(0, 10)}</time>`,
+                post.summary ? ` - ${escapeHtml(post.summary)}` : '',
+            ].join(''))),
+        };
+    },
+};
+
+function getPanelContent(panel, options) {
+    const content = PANEL_CONTENT[panel.id]?.(panel, options);
+    if (content) return content;
+
+    // Panels without build-time content are described by their caption
+    const caption = `${panel.caption.charAt(0).toUpperCase()}${panel.caption.slice(1)}.`;
+    return { description: caption, html: `<p>${escapeHtml(caption)}</p>` };
+}
+
+// ═══ PAGES ═══
+
+function renderSection(panel, content) {
+    return `<section><h2>${escapeHtml(panel.path)}</h2>${content.html}</section>`;
+}
+
+/**
+ * Head tags and <noscript> body for one page: the home page (`panel` is the
+ * first panel) shows every panel, the others just their own.
+ */
+function renderPage(panel, options) {
+    const { siteUrl, title, person } = options;
+    const isHome = panel === PANELS[0];
+    const url = `${siteUrl}${getPanelPagePath(panel)}`;
+    const content = getPanelContent(panel, options);
+    const pageTitle = isHome ? title : `${panel.path} :: ${person.name}`;
+
+    const sections = (isHome ? PANELS : [panel])
+        .map((p) => renderSection(p, p === panel ? content : getPanelContent(p, options)))
+        .join('');
+    const nav = list(PANELS.map((p) => `<a href="${getPanelPagePath(p)}">${escapeHtml(p.path)}</a>`));
+
+    const personData = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: person.name,
+        jobTitle: person.jobTitle,
+        url: `${siteUrl}/`,
+        email: person.email ? `mailto:${person.email}` : undefined,
+        sameAs: person.sameAs,
+    };
+
+    const meta = [
+        ['name', 'description', content.description],
+        ['property', 'og:type', 'website'],
+        ['property', 'og:site_name', title],
+        ['property', 'og:title', pageTitle],
+        ['property', 'og:description', content.description],
+        ['property', 'og:url', url],
+        ['name', 'twitter:card', 'summary'],
+        ['name', 'twitter:title', pageTitle],
+        ['name', 'twitter:description', content.description],
+    ];
+
+    const head = [
+        HEAD_MARKERS[0],
+        ...meta.map(([key, name, value]) => `<meta ${key}="${name}" content="${escapeHtml(value)}">`),
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        // `<` escaped so content can't close the script element
+        `<script type="application/ld+json">${JSON.stringify(personData).replace(/</g, '\\u003c')}</script>`,
+        `<noscript><style>${NOSCRIPT_STYLE}</style></noscript>`,
+        HEAD_MARKERS[1],
+    ].join('\n    ');
+
+    const body = [
+        BODY_MARKERS[0],
+        '<noscript>',
+        '<main class="noscript-view">',
+        `<h1>${escapeHtml(person.name)}</h1>`,
+        `<p>${escapeHtml(person.jobTitle)}</p>`,
+        `<nav>${nav}</nav>`,
+        sections,
+        '</main>',
+        '</noscript>',
+        BODY_MARKERS[1],
+    ].join('\n    ');
+
+    return { title: pageTitle, head, body };
+}
+
+function replaceBetween(html, [start, end], replacement) {
+    const from = html.indexOf(start);
+    const to = html.indexOf(end, from);
+    if (from === -1 || to === -1) return html;
+    return html.slice(0, from) + replacement + html.slice(to + end.length);
+}
+
+// Put a rendered page into index.html: fresh on the first pass, swapped in after
+function applyPage(html, page) {
+    const withTitle = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(page.title)}</title>`);
+
+    if (!withTitle.includes(HEAD_MARKERS[0])) {
+        return withTitle
+            .replace('</head>', `    ${page.head}\n</head>`)
+            .replace(/<body[^>]*>/, (tag) => `${tag}\n    ${page.body}`);
+    }
+    return replaceBetween(replaceBetween(withTitle, HEAD_MARKERS, page.head), BODY_MARKERS, page.body);
+}
+
+/**
+ * Point a built page's preview tags at its image. plugins/og-images.js calls
+ * this once the screenshot exists; running it again replaces the previous
+ * image tags.
+ */
+export function addPreviewImage(html, imageUrl, { width, height }) {
+    const tags = [
+        ['property', 'og:image', imageUrl],
+        ['property', 'og:image:width', String(width)],
+        ['property', 'og:image:height', String(height)],
+        ['name', 'twitter:image', imageUrl],
+    ].map(([key, name, value]) => `<meta ${key}="${name}" content="${escapeHtml(value)}">`);
+
+    return html
+        .replace(/<meta (?:property|name)="(?:og:image[^"]*|twitter:image)" content="[^"]*">\n\s*/g, '')
+        .replace('<meta name="twitter:card" content="summary">', '<meta name="twitter:card" content="summary_large_image">')
+        .replace(HEAD_MARKERS[1], `${tags.join('\n    ')}\n    ${HEAD_MARKERS[1]}`);
+}
+
+function renderSitemap(siteUrl) {
+    const urls = PANELS.map((panel) => `  <url><loc>${escapeHtml(`${siteUrl}${getPanelPagePath(panel)}`)}</loc></url>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * options:
+ *   contentDir    - src/content
+ *   siteUrl       - absolute origin the site is served from, no trailing slash
+ *   title         - site name, also the home page title
+ *   description   - home page description
+ *   person        - { name, jobTitle, email, sameAs: [profile URLs] } for JSON-LD
+ *   previewImages - screenshot panels for og:image after the build (default true);
+ *                   when false the pages carry no image tags
+ */
+export function seoPlugin(options) {
+    const { siteUrl, previewImages = true } = options;
+    let config;
+
+    return {
+        name: 'dev-site:seo',
+        // After Vite has added the built script and style tags
+        enforce: 'post',
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig;
+        },
+
+        transformIndexHtml(html, ctx) {
+            // The dev server answers panel paths with index.html; render for them
+            const route = ctx.originalUrl ? parseRoute(ctx.originalUrl.split(/[?#]/)[0]) : null;
+            return applyPage(html, renderPage(route?.panel || PANELS[0], options));
+        },
+
+        generateBundle(outputOptions, bundle) {
+            const index = bundle['index.html'];
+            if (!index) return;
+
+            PANELS.slice(1).forEach((panel) => {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `${getPanelPagePath(panel).slice(1)}index.html`,
+                    source: applyPage(String(index.source), renderPage(panel, options)),
+                });
+            });
+
+            this.emitFile({ type: 'asset', fileName: 'sitemap.xml', source: renderSitemap(siteUrl) });
+            this.emitFile({
+                type: 'asset',
+                fileName: 'robots.txt',
+                source: `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}/sitemap.xml\n`,
+            });
+        },
+
+        // Test-mode builds are the ones screenshotted, so they skip this themselves
+        async closeBundle() {
+            if (!previewImages || config.command !== 'build' || config.mode === 'test') return;
+
+            // Loaded on demand: Puppeteer is only needed here
+            const { generateOgImages } = await import('./og-images.js');
+            await generateOgImages({
+                root: config.root,
+                outDir: resolve(config.root, config.build.outDir),
+            });
+            config.logger.info(`og: ${PANELS.length} preview images in ${config.build.outDir}/og/`);
+        },
+    };
+}
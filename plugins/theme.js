@@ -0,0 +1,30 @@
+/* ═══════════════════════════════════════════════════════════════
+   THEME PLUGIN
+   Writes the default Catppuccin flavour from src/js/theme.js into
+   index.html as `:root` custom properties, so the first paint has
+   colours before any script runs and the palette lives in one place.
+   theme.js swaps in a saved flavour once the page loads.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { DEFAULT_THEME, THEMES } from '../src/js/theme.js';
+
+export function renderThemeStyle(name = DEFAULT_THEME) {
+    const { colors, dark } = THEMES[name];
+    const properties = Object.entries(colors).map(([color, value]) => `--${color}: ${value};`);
+    return `:root { ${properties.join(' ')} color-scheme: ${dark ? 'dark' : 'light'}; }`;
+}
+
+export function themePlugin() {
+    return {
+        name: 'dev-site:theme',
+
+        // Inline, so it applies with the first paint rather than the first script
+        transformIndexHtml() {
+            return [{
+                tag: 'style',
+                children: renderThemeStyle(),
+                injectTo: 'head',
+            }];
+        },
+    };
+}
@@ -0,0 +1,115 @@
+/* ═══════════════════════════════════════════════════════════════
+   HEADLESS BROWSER
+   Serves dist/ with `vite preview` and drives the built site in
+   headless Chrome with software WebGL. Shared by the test harness
+   and plugins/og-images.js. Pages built with `--mode test` expose
+   `window.portfolio` (events, getActiveScene) for driving the scene.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+import { preview } from 'vite';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const VIEWPORT = { width: 1280, height: 800, deviceScaleFactor: 1 };
+
+// ═══ SERVER & BROWSER ═══
+
+// `vite preview` of a build on a free port; resolves to { url, close() }
+export async function startServer({ outDir = join(ROOT, 'dist') } = {}) {
+    if (!existsSync(join(outDir, 'index.html'))) {
+        throw new Error(`${outDir} is missing: run \`vite build --mode test\` first (npm test does)`);
+    }
+
+    const server = await preview({
+        root: ROOT,
+        logLevel: 'silent',
+        build: { outDir },
+        preview: { port: 4173, strictPort: false, host: '127.0.0.1', open: false },
+    });
+
+    return {
+        url: server.resolvedUrls.local[0],
+        close: () => server.close(),
+    };
+}
+
+export function launchBrowser() {
+    const args = [
+        // Software WebGL so runs match across machines without a GPU
+        '--use-angle=swiftshader',
+        '--enable-unsafe-swiftshader',
+        '--hide-scrollbars',
+        '--font-render-hinting=none',
+    ];
+    // Containers usually run as root, where Chrome refuses its sandbox
+    if (process.getuid?.() === 0) {
+        args.push('--no-sandbox');
+    }
+    return puppeteer.launch({ headless: true, args });
+}
+
+// ═══ PAGE HELPERS ═══
+
+// Load the site and wait for the boot sequence to hand over the controls.
+// `errors` collects uncaught page exceptions for the tests to assert on.
+export async function openPortfolio(browser, url, { viewport = VIEWPORT } = {}) {
+    const page = await browser.newPage();
+    await page.setViewport(viewport);
+
+    const errors = [];
+    page.on('pageerror', (error) => errors.push(error));
+
+    await page.goto(url, { waitUntil: 'load' });
+    await page.waitForFunction(() => window.portfolio?.getActiveScene());
+    await page.evaluate(() => window.portfolio.events.when('boot:complete'));
+    return { page, errors };
+}
+
+// Stop CSS animations, transitions and the caret so screenshots are repeatable,
+// then wait for the hero tagline to finish typing itself out
+export async function freezeAnimations(page) {
+    await page.addStyleTag({
+        content: `
+            *, *::before, *::after {
+                animation: none !important;
+                transition: none !important;
+                caret-color: transparent !important;
+            }
+        `,
+    });
+
+    let previous = null;
+    for (;;) {
+        const text = await page.$$eval('.typing', (elements) => elements.map((el) => el.textContent).join('\n'));
+        if (text === previous) break;
+        previous = text;
+        await sleep(400);
+    }
+}
+
+// Resolve once the camera has reached its target and a frame has been drawn
+export async function waitForCamera(page) {
+    await page.waitForFunction(() => {
+        const { controls } = window.portfolio.getActiveScene();
+        return controls.thetaVelocity === 0 &&
+            Math.abs(controls.targetTheta - controls.theta) < 1e-3 &&
+            Math.abs(controls.targetPhi - controls.phi) < 1e-3 &&
+            Math.abs(controls.targetFov - controls.camera.fov) < 0.2;
+    }, { polling: 'raf', timeout: 10000 });
+    await nextFrames(page);
+}
+
+export function nextFrames(page, count = 2) {
+    return page.evaluate((frames) => new Promise((resolve) => {
+        const tick = (left) => (left === 0 ? resolve() : requestAnimationFrame(() => tick(left - 1)));
+        tick(frames);
+    }), count);
+}
+
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,183 @@
+/* ═══════════════════════════════════════════════════════════════
+   STATS SNAPSHOT
+   Writes src/content/stats.json for the neofetch panel, offline:
+   either from local git checkouts or from a fixture file.
+
+     npm run stats -- ~/code/*                  scan repositories
+     npm run stats -- --author dan ~/code/*     count only your commits
+     npm run stats -- --fixture scripts/fixtures/stats.json   (sample data, for testing)
+
+   Snapshot: { generatedAt, repos, commits, lastActivity,
+               languages: [{ name, bytes }] }, largest language first.
+   Commit a snapshot of your own repositories and the site reads it
+   at build time; never commit one made from the fixture. Without a
+   snapshot the panel keeps its placeholder text.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { execFileSync } from 'node:child_process';
+import { readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'src', 'content', 'stats.json');
+
+// Tracked files count toward a language by extension; anything else is ignored
+const LANGUAGES = {
+    '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+    '.ts': 'TypeScript', '.tsx': 'TypeScript',
+    '.go': 'Go',
+    '.rs': 'Rust',
+    '.py': 'Python',
+    '.cs': 'C#',
+    '.c': 'C', '.h': 'C',
+    '.cc': 'C++', '.cpp': 'C++', '.hpp': 'C++',
+    '.java': 'Java',
+    '.kt': 'Kotlin',
+    '.swift': 'Swift',
+    '.rb': 'Ruby',
+    '.php': 'PHP',
+    '.lua': 'Lua',
+    '.zig': 'Zig',
+    '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell',
+    '.sql': 'SQL',
+    '.tf': 'HCL',
+    '.nix': 'Nix',
+    '.html': 'HTML',
+    '.css': 'CSS', '.scss': 'CSS',
+    '.vue': 'Vue',
+    '.svelte': 'Svelte',
+};
+
+const USAGE = 'usage: stats-snapshot.js [--author <name>] <repo>... | --fixture <file.json>';
+
+function parseArgs(argv) {
+    const options = { author: null, fixture: null, repos: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Options take the next argument, which must not be another option
+        const value = () => {
+            const next = argv[++i];
+            if (next === undefined || next.startsWith('--')) {
+                throw new Error(`option requires a value: ${arg}`);
+            }
+            return next;
+        };
+
+        if (arg === '--author') {
+            options.author = value();
+        } else if (arg === '--fixture') {
+            options.fixture = value();
+        } else if (arg.startsWith('--')) {
+            throw new Error(`unknown option: ${arg}`);
+        } else {
+            options.repos.push(resolve(arg));
+        }
+    }
+    return options;
+}
+
+function git(repo, args) {
+    return execFileSync('git', ['-C', repo, ...args], {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'ignore'],
+    });
+}
+
+function isRepository(path) {
+    try {
+        return git(path, ['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+    } catch {
+        return false;
+    }
+}
+
+// { commits, lastActivity, languages: Map<name, bytes> } for one checkout
+function scanRepository(repo, author) {
+    const authorArgs = author ? [`--author=${author}`] : [];
+    let commits = 0;
+    let lastActivity = null;
+    try {
+        commits = Number(git(repo, ['rev-list', '--count', 'HEAD', ...authorArgs]).trim());
+        lastActivity = git(repo, ['log', '-1', '--format=%cI', ...authorArgs]).trim() || null;
+    } catch {
+        // No commits yet
+    }
+
+    const languages = new Map();
+    git(repo, ['ls-files', '-z']).split('\0').filter(Boolean).forEach((file) => {
+        const language = LANGUAGES[extname(file).toLowerCase()];
+        if (!language) return;
+        try {
+            const { size } = statSync(join(repo, file));
+            languages.set(language, (languages.get(language) || 0) + size);
+        } catch {
+            // Deleted in the working tree but still tracked
+        }
+    });
+
+    return { commits, lastActivity, languages };
+}
+
+function snapshotFromRepositories(repos, author) {
+    const totals = { commits: 0, lastActivity: null, languages: new Map() };
+    let count = 0;
+
+    repos.forEach((repo) => {
+        if (!isRepository(repo)) {
+            console.warn(`skipping ${repo}: not a git repository`);
+            return;
+        }
+        const result = scanRepository(repo, author);
+        count++;
+        totals.commits += result.commits;
+        if (result.lastActivity && (!totals.lastActivity || result.lastActivity > totals.lastActivity)) {
+            totals.lastActivity = result.lastActivity;
+        }
+        result.languages.forEach((bytes, name) => {
+            totals.languages.set(name, (totals.languages.get(name) || 0) + bytes);
+        });
+    });
+
+    return {
+        repos: count,
+        commits: totals.commits,
+        lastActivity: totals.lastActivity && new Date(totals.lastActivity).toISOString(),
+        languages: [...totals.languages]
+            .map(([name, bytes]) => ({ name, bytes }))
+            .sort((a, b) => b.bytes - a.bytes),
+    };
+}
+
+function snapshotFromFixture(path) {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    const { repos, commits, lastActivity, languages = [] } = data;
+    return { repos, commits, lastActivity, languages };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`stats-snapshot.js: ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (!options.fixture && options.repos.length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const stats = options.fixture
+        ? snapshotFromFixture(options.fixture)
+        : snapshotFromRepositories(options.repos, options.author);
+    const snapshot = { generatedAt: new Date().toISOString(), ...stats };
+
+    writeFileSync(OUTPUT, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`wrote ${OUTPUT}: ${snapshot.repos} repos, ${snapshot.commits} commits, ` +
+        `${snapshot.languages.length} languages`);
+}
+
+main();
@@ -0,0 +1,22 @@
+#!/bin/bash
+
+# backend.sh
+data | hash | cache
+
+api_design="ergonomic"
+if [[ $RANDOM % 2 -eq 0 ]]; then
+    llm --one-shot --success-rate 100%
+fi
+
+declare -A promises=(
+    ["RESTful"]=true
+    ["backwards_compatible"]=true
+)
+
+observability() {
+    local tool=$1
+    case $tool in
+        datadog) echo "cool" ;;
+        grafana|otel) echo "covers 95% of use cases" ;;
+    esac
+}
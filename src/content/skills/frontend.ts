@@ -0,0 +1,22 @@
+// frontend.tsx
+import { mass, gravity } from 'physics';
+
+interface Props {
+  pixels: 'perfect' | 'close-enough';
+  animations: 'butter' | 'silky';
+}
+
+const Component: FC<Props> = ({ pixels, animations }) => {
+  const [state, setState] = useState<'loading' | 'ready'>('ready');
+
+  useEffect(() => {
+    // make it feel alive
+    requestAnimationFrame(breathe);
+  }, []);
+
+  return (
+    <div style={{ touchAction: 'manipulation' }}>
+      {state === 'ready' && <Canvas shadows />}
+    </div>
+  );
+};
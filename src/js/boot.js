@@ -0,0 +1,191 @@
+/* ═══════════════════════════════════════════════════════════════
+   BOOT SEQUENCE
+   The terminal text typed over the room while it loads, scripted
+   in src/content/boot.json. Any key or tap skips to the end, and
+   visitors who have seen it before get the shorter `returning`
+   script.
+
+   Script format:
+     speed, lineDelay, endDelay - ms per character, after each
+                                  line, after the last line
+     revealDuration             - ms each panel takes to fade in
+     lines  - each one of:
+       "text"                          plain line
+       { text, color, speed, pause }   one colored line
+       { segments: [...], speed, pause }
+         segment: { text, color } or
+                  { progress: cells, duration, color } (fake progress bar)
+       { pause: ms }                   wait without printing
+     returning - overrides of any of the above for return visits
+   Colors are theme color names (green, mauve, blue, ...).
+   ═══════════════════════════════════════════════════════════════ */
+
+import bootConfig from '../content/boot.json';
+
+const STORAGE_KEY = 'dev-site:visited';
+
+const DEFAULTS = {
+    speed: 20,
+    lineDelay: 300,
+    endDelay: 500,
+    revealDuration: 300,
+    lines: [],
+};
+
+const PROGRESS_FILLED = '█';
+const PROGRESS_EMPTY = '░';
+
+// ═══ RETURNING VISITORS ═══
+
+export function hasVisitedBefore() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) !== null;
+    } catch {
+        return false;
+    }
+}
+
+export function rememberVisit() {
+    try {
+        localStorage.setItem(STORAGE_KEY, new Date().toISOString());
+    } catch {
+        // Without storage every visit gets the full boot
+    }
+}
+
+// ═══ SCRIPT ═══
+
+/**
+ * The boot script for this visit, with defaults filled in and every line
+ * in the long form { segments, speed, pause }.
+ */
+export function getBootScript({ returning = false } = {}, config = bootConfig) {
+    const { returning: returningOverrides = {}, ...base } = config;
+    const script = { ...DEFAULTS, ...base, ...(returning ? returningOverrides : {}) };
+
+    return {
+        ...script,
+        lines: script.lines.map((line) => normalizeLine(line, script)),
+    };
+}
+
+function normalizeLine(line, script) {
+    if (typeof line === 'string') {
+        line = { text: line };
+    }
+
+    const { text, color, segments, speed = script.speed } = line;
+
+    // { pause } alone waits without printing a line
+    if (text === undefined && segments === undefined) {
+        return { segments: [], speed, pause: line.pause ?? 0, newline: false };
+    }
+
+    return {
+        segments: segments ?? [{ text, color }],
+        speed,
+        pause: line.pause ?? script.lineDelay,
+        newline: true,
+    };
+}
+
+// `[████░░░░]  50%` for a bar of `cells` cells
+function formatProgress(fraction, cells) {
+    const filled = Math.round(fraction * cells);
+    const percent = `${Math.round(fraction * 100)}%`.padStart(4);
+    return `[${PROGRESS_FILLED.repeat(filled)}${PROGRESS_EMPTY.repeat(cells - filled)}] ${percent}`;
+}
+
+// ═══ PLAYBACK ═══
+
+export class BootSequence {
+    /**
+     * options:
+     *   sleep(ms) - timer to wait on; the scene passes one its destroy() cancels
+     */
+    constructor(textElement, script, { sleep }) {
+        this.textElement = textElement;
+        this.script = script;
+        this.sleep = sleep;
+        this.skipped = false;
+        this.startedAt = 0;
+
+        let resolveSkip;
+        this.skipPromise = new Promise((resolve) => {
+            resolveSkip = resolve;
+        });
+        this.resolveSkip = resolveSkip;
+
+        this.skip = this.skip.bind(this);
+    }
+
+    // Listen for the key or tap that skips the rest
+    start() {
+        this.startedAt = performance.now();
+        document.addEventListener('keydown', this.skip);
+        document.addEventListener('pointerdown', this.skip);
+    }
+
+    stop() {
+        document.removeEventListener('keydown', this.skip);
+        document.removeEventListener('pointerdown', this.skip);
+    }
+
+    // Finish at once: remaining text appears whole and waits end early
+    skip(event = null) {
+        // The Enter that ran `reboot` is still on its way up to the document
+        if (this.skipped || event?.timeStamp < this.startedAt) return;
+        this.skipped = true;
+        this.stop();
+        this.resolveSkip();
+    }
+
+    // sleep() that a skip cuts short
+    wait(ms) {
+        if (this.skipped || ms <= 0) return Promise.resolve();
+        return Promise.race([this.sleep(ms), this.skipPromise]);
+    }
+
+    // Type the whole script; resolves when done or skipped
+    async play() {
+        this.textElement.textContent = '';
+
+        for (const line of this.script.lines) {
+            for (const segment of line.segments) {
+                await this.playSegment(segment, line.speed);
+            }
+            if (line.newline) {
+                this.textElement.append('\n');
+            }
+            await this.wait(line.pause);
+        }
+
+        await this.wait(this.script.endDelay);
+    }
+
+    async playSegment(segment, speed) {
+        const span = document.createElement('span');
+        if (segment.color) {
+            span.style.color = `var(--${segment.color})`;
+        }
+        this.textElement.appendChild(span);
+
+        if (segment.progress) {
+            const cells = segment.progress;
+            for (let step = 0; step < cells && !this.skipped; step++) {
+                span.textContent = formatProgress(step / cells, cells);
+                await this.wait((segment.duration ?? 0) / cells);
+            }
+            span.textContent = formatProgress(1, cells);
+            return;
+        }
+
+        const text = segment.text ?? '';
+        for (const char of text) {
+            if (this.skipped) break;
+            span.textContent += char;
+            await this.wait(speed);
+        }
+        span.textContent = text;
+    }
+}
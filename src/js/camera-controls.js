@@ -5,11 +5,23 @@
    ═══════════════════════════════════════════════════════════════ */
 
 import * as THREE from 'three';
+import { events } from './events.js';
+import { getPanelsByAngle, getPanelView, PANELS } from './panels.js';
+
+// Shortest signed angle, wrapped to [-PI, PI]
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
 
 export class CameraControls {
-    constructor(camera, domElement) {
+    // options.picker: a PanelPicker (picking.js) used to route clicks and hover into the panels
+    // options.gestures: overrides for the inertia, snapping and swipe thresholds below
+    // options.onChange: called whenever input moves a target, so an idle render loop can wake
+    constructor(camera, domElement, { picker = null, gestures = {}, onChange = () => {} } = {}) {
         this.camera = camera;
         this.domElement = domElement;
+        this.picker = picker;
+        this.onChange = onChange;
         this.enabled = false; // Disabled until entry animation completes
 
         // Spherical rotation (camera looks outward from origin)
@@ -27,11 +39,35 @@ export class CameraControls {
         // Smoothing
         this.dampingFactor = 0.08;
         this.rotationSpeed = 0.003;
+        this.settleThreshold = 1e-4; // rad from target at which the view counts as still
 
         // Mouse drag state
         this.isDragging = false;
         this.previousMouse = { x: 0, y: 0 };
 
+        // Element under the pointer, given `.is-hovered` in place of :hover
+        this.hoveredElement = null;
+
+        // Flick inertia, snap-to-panel and touch swipe tuning
+        this.gestures = {
+            friction: 0.92,           // Share of flick velocity kept per 60fps frame
+            minFlickVelocity: 0.0008, // rad/ms; slower releases snap straight away
+            stopVelocity: 0.0001,     // rad/ms at which inertia hands over to the snap
+            velocityWindow: 100,      // ms of drag history used for release velocity
+            snapToPanels: true,
+            swipeMinDistance: 60,     // px of horizontal travel
+            swipeMaxDuration: 300,    // ms from touchstart to touchend
+            swipeMaxSlope: 0.6,       // max |dy| / |dx| to count as horizontal
+            ...gestures,
+        };
+
+        // Inertia state
+        this.thetaVelocity = 0;   // rad/ms, applied to targetTheta after release
+        this.dragSamples = [];    // Recent { time, theta } while dragging
+        this.dragOriginPanel = null;
+        this.isTouchDragging = false;
+        this.lastUpdateTime = null;
+
         // Touch state
         this.previousTouch = { x: 0, y: 0 };
         this.touchStartTime = 0;
@@ -57,6 +93,21 @@ export class CameraControls {
         // Device detection
         this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 
+        // Bound once so destroy() removes exactly the listeners that were added
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onMouseLeave = this.onMouseLeave.bind(this);
+        this.onMouseWheel = this.onMouseWheel.bind(this);
+        this.onNativeClick = this.onNativeClick.bind(this);
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchMove = this.onTouchMove.bind(this);
+        this.onTouchEnd = this.onTouchEnd.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.handleOrientation = this.handleOrientation.bind(this);
+        this.toggleGyroscope = this.toggleGyroscope.bind(this);
+        this.clickResetTimer = null;
+
         // Initialize
         this.setupMouseControls();
         this.setupTouchControls();
@@ -83,7 +134,7 @@ export class CameraControls {
         const interactiveSelectors = [
             'button', 'a', 'input', 'select', 'textarea',
             '.skill-file', '.skill-btn', '.nav-btn', '.skill-popup-close',
-            '.window-controls', '.dot', '.link', '.project-item a'
+            '.window-controls', '.dot', '.link', '.project-item', '.post-item'
         ];
 
         for (const selector of interactiveSelectors) {
@@ -97,48 +148,51 @@ export class CameraControls {
     // ═══ MOUSE CONTROLS (Desktop) ═══
 
     setupMouseControls() {
-        this.domElement.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.domElement.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.domElement.addEventListener('mouseup', (e) => this.onMouseUp(e));
-        this.domElement.addEventListener('mouseleave', () => this.onMouseUp());
-        this.domElement.addEventListener('wheel', (e) => this.onMouseWheel(e), { passive: false });
+        this.domElement.addEventListener('mousedown', this.onMouseDown);
+        this.domElement.addEventListener('mousemove', this.onMouseMove);
+        this.domElement.addEventListener('mouseup', this.onMouseUp);
+        this.domElement.addEventListener('mouseleave', this.onMouseLeave);
+        this.domElement.addEventListener('wheel', this.onMouseWheel, { passive: false });
+        this.domElement.addEventListener('click', this.onNativeClick, true);
 
         // Cursor style
         this.domElement.style.cursor = 'grab';
     }
 
-    // Find the actual interactive element at click coordinates (accounting for CSS3D transforms)
+    onMouseLeave() {
+        this.onMouseUp();
+        this.setHoveredElement(null);
+    }
+
+    // Picked clicks are dispatched by hand; drop the browser's own click that follows
+    onNativeClick(event) {
+        if (this.suppressNativeClick && event.isTrusted) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    // Interactive panel element under a screen position, via the picker
     findInteractiveElementAtPoint(x, y) {
-        // List of interactive element selectors to check
-        const selectors = [
-            '.skill-file',
-            '.skill-popup-close',
-            '.nav-btn',
-            '.link',
-            '.project-item a',
-            'button',
-            'a'
-        ];
+        return this.picker ? this.picker.pick(x, y) : null;
+    }
 
-        // Get all interactive elements
-        for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
-            for (const el of elements) {
-                const rect = el.getBoundingClientRect();
-                // Check if click is within this element's transformed bounds
-                if (x >= rect.left && x <= rect.right &&
-                    y >= rect.top && y <= rect.bottom) {
-                    // Additional check: element must be visible
-                    const style = getComputedStyle(el);
-                    if (style.display !== 'none' &&
-                        style.visibility !== 'hidden' &&
-                        parseFloat(style.opacity) > 0) {
-                        return el;
-                    }
-                }
-            }
+    // Mirror :hover for the picked element (and the project or post row it sits in)
+    setHoveredElement(element) {
+        const target = element ? element.closest('.project-item, .post-item') || element : null;
+        if (target === this.hoveredElement) return;
+
+        if (this.hoveredElement) {
+            this.hoveredElement.classList.remove('is-hovered');
+        }
+        if (target) {
+            target.classList.add('is-hovered');
+        }
+        this.hoveredElement = target;
+
+        if (!this.isDragging) {
+            this.domElement.style.cursor = target ? 'pointer' : 'grab';
         }
-        return null;
     }
 
     onMouseWheel(event) {
@@ -149,6 +203,7 @@ export class CameraControls {
         // Scroll up = zoom in (decrease FOV), scroll down = zoom out (increase FOV)
         this.targetFov += event.deltaY * 0.05;
         this.targetFov = Math.max(this.minFov, Math.min(this.maxFov, this.targetFov));
+        this.onChange();
     }
 
     onMouseDown(event) {
@@ -173,10 +228,16 @@ export class CameraControls {
         this.previousMouse.x = event.clientX;
         this.previousMouse.y = event.clientY;
         this.domElement.style.cursor = 'grabbing';
+        this.beginDrag();
     }
 
     onMouseMove(event) {
-        if (!this.enabled || !this.isDragging) return;
+        if (!this.enabled) return;
+
+        if (!this.isDragging) {
+            this.setHoveredElement(this.findInteractiveElementAtPoint(event.clientX, event.clientY));
+            return;
+        }
 
         const deltaX = event.clientX - this.previousMouse.x;
         const deltaY = event.clientY - this.previousMouse.y;
@@ -191,6 +252,8 @@ export class CameraControls {
 
         this.previousMouse.x = event.clientX;
         this.previousMouse.y = event.clientY;
+        this.recordDragSample();
+        this.onChange();
     }
 
     onMouseUp(event) {
@@ -203,21 +266,34 @@ export class CameraControls {
 
             // If it was a quick tap without much movement, trigger the click
             if (distance < 10 && duration < 300) {
-                this.pendingClick.click();
+                this.dispatchClick(this.pendingClick);
             }
             this.pendingClick = null;
         }
 
+        if (this.isDragging) {
+            this.releaseDrag();
+        }
         this.isDragging = false;
-        this.domElement.style.cursor = 'grab';
+        this.domElement.style.cursor = this.hoveredElement ? 'pointer' : 'grab';
+    }
+
+    // Click the picked element, swallowing the native click the browser sends next
+    dispatchClick(element) {
+        this.suppressNativeClick = true;
+        clearTimeout(this.clickResetTimer);
+        this.clickResetTimer = setTimeout(() => {
+            this.suppressNativeClick = false;
+        }, 0);
+        element.click();
     }
 
     // ═══ TOUCH CONTROLS (Mobile fallback) ═══
 
     setupTouchControls() {
-        this.domElement.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
-        this.domElement.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
-        this.domElement.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        this.domElement.addEventListener('touchstart', this.onTouchStart, { passive: false });
+        this.domElement.addEventListener('touchmove', this.onTouchMove, { passive: false });
+        this.domElement.addEventListener('touchend', this.onTouchEnd);
     }
 
     onTouchStart(event) {
@@ -249,6 +325,7 @@ export class CameraControls {
         if (event.touches.length === 2) {
             event.preventDefault();
             this.isPinching = true;
+            this.isTouchDragging = false;
             this.pendingTap = null; // Cancel tap on pinch
             this.previousPinchDistance = this.getPinchDistance(event.touches);
             return;
@@ -259,6 +336,8 @@ export class CameraControls {
             event.preventDefault();
             this.previousTouch.x = event.touches[0].clientX;
             this.previousTouch.y = event.touches[0].clientY;
+            this.isTouchDragging = true;
+            this.beginDrag();
         }
     }
 
@@ -282,6 +361,7 @@ export class CameraControls {
             this.targetFov = Math.max(this.minFov, Math.min(this.maxFov, this.targetFov));
 
             this.previousPinchDistance = currentDistance;
+            this.onChange();
             return;
         }
 
@@ -303,6 +383,8 @@ export class CameraControls {
 
         this.previousTouch.x = touch.clientX;
         this.previousTouch.y = touch.clientY;
+        this.recordDragSample();
+        this.onChange();
     }
 
     onTouchEnd(event) {
@@ -316,21 +398,116 @@ export class CameraControls {
 
             // If it was a quick tap without much movement, trigger the click
             if (distance < 15 && duration < 400) {
-                this.pendingTap.click();
+                this.dispatchClick(this.pendingTap);
             }
             this.pendingTap = null;
         }
 
+        // Last finger up ends a drag: either a swipe to the next panel or a flick
+        if (this.isTouchDragging && event && event.touches.length === 0) {
+            this.isTouchDragging = false;
+            const swipe = this.getSwipeDirection(event.changedTouches[0]);
+            if (swipe) {
+                this.dragSamples = [];
+                this.stepPanel(swipe, this.dragOriginPanel);
+            } else {
+                this.releaseDrag();
+            }
+        }
+
         // Reset pinch state when fingers are lifted
         if (!event || event.touches.length < 2) {
             this.isPinching = false;
         }
     }
 
+    // 1 (next panel right) / -1 (left) for a quick horizontal swipe, else 0
+    getSwipeDirection(touch) {
+        if (!touch || !this.touchStartPos) return 0;
+
+        const { swipeMinDistance, swipeMaxDuration, swipeMaxSlope } = this.gestures;
+        const dx = touch.clientX - this.touchStartPos.x;
+        const dy = touch.clientY - this.touchStartPos.y;
+        const duration = Date.now() - this.touchStartTime;
+
+        if (Math.abs(dx) < swipeMinDistance || duration > swipeMaxDuration) return 0;
+        if (Math.abs(dy) > Math.abs(dx) * swipeMaxSlope) return 0;
+
+        // Swiping left drags the room left, which turns the view right
+        return dx < 0 ? 1 : -1;
+    }
+
+    // ═══ INERTIA & SNAPPING ═══
+
+    beginDrag() {
+        this.thetaVelocity = 0;
+        this.dragSamples = [];
+        this.dragOriginPanel = this.getNearestPanel(this.targetTheta);
+        this.recordDragSample();
+    }
+
+    recordDragSample() {
+        const now = performance.now();
+        this.dragSamples.push({ time: now, theta: this.targetTheta });
+
+        // Keep just enough history to measure the release velocity
+        while (this.dragSamples.length > 2 && now - this.dragSamples[0].time > this.gestures.velocityWindow) {
+            this.dragSamples.shift();
+        }
+    }
+
+    // Hand a finished drag over to inertia, or snap if it was released slowly
+    releaseDrag() {
+        const samples = this.dragSamples;
+        this.dragSamples = [];
+
+        const now = performance.now();
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        let velocity = 0;
+
+        // Pointer held still before release means no flick
+        if (samples.length > 1 && now - last.time < this.gestures.velocityWindow) {
+            velocity = (last.theta - first.theta) / Math.max(last.time - first.time, 1);
+        }
+
+        if (Math.abs(velocity) >= this.gestures.minFlickVelocity) {
+            this.thetaVelocity = velocity;
+            this.onChange();
+        } else {
+            this.snapToNearestPanel();
+        }
+    }
+
+    // Coast with the flick velocity, then settle on a panel
+    updateInertia(deltaTime) {
+        if (this.thetaVelocity === 0) return;
+
+        this.targetTheta += this.thetaVelocity * deltaTime;
+        this.thetaVelocity *= Math.pow(this.gestures.friction, deltaTime / (1000 / 60));
+
+        if (Math.abs(this.thetaVelocity) < this.gestures.stopVelocity) {
+            this.thetaVelocity = 0;
+            this.snapToNearestPanel();
+        }
+    }
+
+    snapToNearestPanel() {
+        if (!this.gestures.snapToPanels || this.gyroEnabled) return;
+        this.lookAtPanel(this.getNearestPanel(this.targetTheta));
+    }
+
+    // Step one panel left (-1) or right (1) around the room from `from`
+    stepPanel(direction, from = this.getNearestPanel(this.targetTheta)) {
+        const panels = getPanelsByAngle();
+        const index = panels.indexOf(from);
+        this.lookAtPanel(panels[(index + direction + panels.length) % panels.length]);
+    }
+
     // ═══ KEYBOARD CONTROLS ═══
 
     setupKeyboardControls() {
-        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keydown', this.onKeyDown);
     }
 
     onKeyDown(event) {
@@ -355,7 +532,10 @@ export class CameraControls {
             case 's':
                 this.targetPhi = Math.min(this.maxPhi, this.targetPhi + rotateAmount);
                 break;
+            default:
+                return;
         }
+        this.onChange();
     }
 
     // ═══ GYROSCOPE CONTROLS (Mobile) ═══
@@ -380,6 +560,7 @@ export class CameraControls {
             typeof DeviceOrientationEvent.requestPermission === 'function') {
             try {
                 const permission = await DeviceOrientationEvent.requestPermission();
+                if (!this.gyroButton) return; // Destroyed while the prompt was open
                 if (permission === 'granted') {
                     this.enableGyroscope();
                 } else {
@@ -399,22 +580,24 @@ export class CameraControls {
     }
 
     enableGyroscope() {
-        window.addEventListener('deviceorientation', (e) => this.handleOrientation(e), true);
+        window.addEventListener('deviceorientation', this.handleOrientation, true);
         this.gyroEnabled = true;
         this.updateGyroButton(true);
         this.showGyroFeedback('Tilt enabled');
 
         // Remove the permission request handler and replace with toggle
         this.gyroButton.removeEventListener('click', this.gyroPermissionHandler);
-        this.gyroButton.addEventListener('click', () => {
-            this.gyroEnabled = !this.gyroEnabled;
-            // Reset calibration when re-enabling so gyro maps to current camera position
-            if (this.gyroEnabled) {
-                this.gyroCalibrated = false;
-            }
-            this.updateGyroButton(this.gyroEnabled);
-            this.showGyroFeedback(this.gyroEnabled ? 'Tilt ON' : 'Tilt OFF');
-        });
+        this.gyroButton.addEventListener('click', this.toggleGyroscope);
+    }
+
+    toggleGyroscope() {
+        this.gyroEnabled = !this.gyroEnabled;
+        // Reset calibration when re-enabling so gyro maps to current camera position
+        if (this.gyroEnabled) {
+            this.gyroCalibrated = false;
+        }
+        this.updateGyroButton(this.gyroEnabled);
+        this.showGyroFeedback(this.gyroEnabled ? 'Tilt ON' : 'Tilt OFF');
     }
 
     updateGyroButton(enabled) {
@@ -461,21 +644,24 @@ export class CameraControls {
 
         // Clamp
         this.targetPhi = Math.max(this.minPhi, Math.min(this.maxPhi, this.targetPhi));
+        this.onChange();
     }
 
     showGyroFeedback(message) {
-        // Use existing terminal feedback if available
-        if (typeof addTerminalFeedback === 'function') {
-            addTerminalFeedback('gyro: ' + message);
-        } else {
-            console.log('Gyro:', message);
-        }
+        events.emit('terminal:feedback', { command: 'gyro: ' + message });
     }
 
     // ═══ UPDATE LOOP ═══
 
+    // Returns true while the view is still easing toward its targets,
+    // so the scene knows to keep rendering
     update() {
-        if (!this.enabled) return;
+        if (!this.enabled) return false;
+
+        const now = performance.now();
+        const deltaTime = this.lastUpdateTime === null ? 1000 / 60 : Math.min(now - this.lastUpdateTime, 100);
+        this.lastUpdateTime = now;
+        this.updateInertia(deltaTime);
 
         // Smooth interpolation toward target
         this.theta += (this.targetTheta - this.theta) * this.dampingFactor;
@@ -483,12 +669,22 @@ export class CameraControls {
 
         // Smooth FOV interpolation for zoom
         const currentFov = this.camera.fov;
-        if (Math.abs(currentFov - this.targetFov) > 0.1) {
+        const zooming = Math.abs(currentFov - this.targetFov) > 0.1;
+        if (zooming) {
             this.camera.fov += (this.targetFov - currentFov) * this.dampingFactor;
             this.camera.updateProjectionMatrix();
         }
 
         this.updateCameraRotation();
+
+        // Close enough to stop easing; the next input restarts the clock
+        const settled = !zooming && this.thetaVelocity === 0 &&
+            Math.abs(this.targetTheta - this.theta) < this.settleThreshold &&
+            Math.abs(this.targetPhi - this.phi) < this.settleThreshold;
+        if (settled) {
+            this.lastUpdateTime = null;
+        }
+        return !settled;
     }
 
     updateCameraRotation() {
@@ -506,6 +702,7 @@ export class CameraControls {
 
     // Snap to look at a specific panel
     lookAt(theta, phi, instant = false) {
+        this.thetaVelocity = 0;
         this.targetTheta = theta;
         this.targetPhi = phi || Math.PI / 2;
 
@@ -514,33 +711,27 @@ export class CameraControls {
             this.phi = this.targetPhi;
             this.updateCameraRotation();
         }
+        this.onChange();
     }
 
-    // Snap to look at front (hero)
-    lookAtFront(instant = false) {
-        this.lookAt(0, Math.PI / 2, instant);
-    }
-
-    // Snap to look left (skills) - 60 degrees
-    lookAtLeft(instant = false) {
-        this.lookAt(-Math.PI / 3, Math.PI / 2, instant);
+    // Snap to look at a panel from the manifest (see panels.js),
+    // turning the short way round however far dragging has wound theta
+    lookAtPanel(panel, instant = false) {
+        const { theta, phi } = getPanelView(panel);
+        this.lookAt(this.nearestTheta(theta), phi, instant);
     }
 
-    // Snap to look right (projects) - 60 degrees
-    lookAtRight(instant = false) {
-        this.lookAt(Math.PI / 3, Math.PI / 2, instant);
+    // The equivalent of `theta` closest to the current target
+    nearestTheta(theta) {
+        return this.targetTheta + wrapAngle(theta - this.targetTheta);
     }
 
-    // Snap to look back (stats)
-    lookAtBack(instant = false) {
-        this.lookAt(Math.PI, Math.PI / 2, instant);
-    }
-
-    // Gently nudge camera toward a skill popup position
+    // Gently nudge camera toward a popup position
     // position: 'top-left', 'top-right', 'bottom', or 'center'
-    lookAtSkillPopup(position = 'center') {
-        // Base angle for skills panel (60 degrees left)
-        const baseTheta = -Math.PI / 3;
+    // panel: manifest entry the popup is attached to
+    lookAtPopup(position = 'center', panel = null) {
+        // Base angle of the panel hosting the popup
+        const baseTheta = panel ? this.nearestTheta(getPanelView(panel).theta) : this.targetTheta;
 
         // Small offsets based on popup position
         let thetaOffset = 0;
@@ -564,43 +755,93 @@ export class CameraControls {
                 phiOffset = 0;
         }
 
+        this.thetaVelocity = 0;
         this.targetTheta = baseTheta + thetaOffset;
         this.targetPhi = (Math.PI / 2) + phiOffset;
 
         // Clamp phi
         this.targetPhi = Math.max(this.minPhi, Math.min(this.maxPhi, this.targetPhi));
+        this.onChange();
     }
 
-    // Get current viewing direction name
-    getCurrentDirection() {
-        // Normalize theta to 0-2PI
-        let normalizedTheta = this.theta % (Math.PI * 2);
-        if (normalizedTheta < 0) normalizedTheta += Math.PI * 2;
+    // Get the manifest entry of the panel closest to the current viewing direction
+    getCurrentPanel() {
+        return this.getNearestPanel(this.theta);
+    }
 
-        // Determine which panel we're roughly facing
-        if (normalizedTheta < Math.PI / 8 || normalizedTheta > Math.PI * 15/8) {
-            return 'front';
-        } else if (normalizedTheta >= Math.PI / 8 && normalizedTheta < Math.PI * 3/8) {
-            return 'left';
-        } else if (normalizedTheta >= Math.PI * 5/8 && normalizedTheta < Math.PI * 11/8) {
-            return 'back';
-        } else if (normalizedTheta >= Math.PI * 13/8 && normalizedTheta < Math.PI * 15/8) {
-            return 'right';
-        }
+    // Manifest entry whose view angle is closest to `theta`
+    getNearestPanel(theta) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        PANELS.forEach((panel) => {
+            const distance = Math.abs(wrapAngle(theta - getPanelView(panel).theta));
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = panel;
+            }
+        });
+
+        return closest;
+    }
 
-        return 'unknown';
+    // ═══ LIFECYCLE ═══
+
+    // View angles and zoom, to hand over to a replacement instance (hot reload)
+    getState() {
+        return {
+            theta: this.theta,
+            phi: this.phi,
+            targetTheta: this.targetTheta,
+            targetPhi: this.targetPhi,
+            fov: this.camera.fov,
+            targetFov: this.targetFov,
+        };
     }
 
-    dispose() {
+    setState({ theta, phi, targetTheta, targetPhi, fov, targetFov }) {
+        this.theta = theta;
+        this.phi = phi;
+        this.targetTheta = targetTheta;
+        this.targetPhi = targetPhi;
+        this.targetFov = targetFov;
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+        this.updateCameraRotation();
+        this.onChange();
+    }
+
+    // Remove every listener, timer and element the controls added; the
+    // instance is unusable afterwards
+    destroy() {
+        this.enabled = false;
+        this.thetaVelocity = 0;
+
         this.domElement.removeEventListener('mousedown', this.onMouseDown);
         this.domElement.removeEventListener('mousemove', this.onMouseMove);
         this.domElement.removeEventListener('mouseup', this.onMouseUp);
+        this.domElement.removeEventListener('mouseleave', this.onMouseLeave);
+        this.domElement.removeEventListener('wheel', this.onMouseWheel);
+        this.domElement.removeEventListener('click', this.onNativeClick, true);
         this.domElement.removeEventListener('touchstart', this.onTouchStart);
         this.domElement.removeEventListener('touchmove', this.onTouchMove);
         this.domElement.removeEventListener('touchend', this.onTouchEnd);
+        document.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('deviceorientation', this.handleOrientation, true);
+
+        clearTimeout(this.clickResetTimer);
+        this.clickResetTimer = null;
+        this.suppressNativeClick = false;
+
+        this.setHoveredElement(null);
+        this.domElement.style.cursor = '';
 
         if (this.gyroButton) {
+            this.gyroButton.removeEventListener('click', this.gyroPermissionHandler);
+            this.gyroButton.removeEventListener('click', this.toggleGyroscope);
             this.gyroButton.remove();
+            this.gyroButton = null;
         }
+        this.gyroEnabled = false;
     }
 }
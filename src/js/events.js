@@ -0,0 +1,106 @@
+/* ═══════════════════════════════════════════════════════════════
+   EVENTS
+   Small typed event bus between the 3D scene and the page.
+   The scene and controls emit, the HUD, shortcuts and terminal
+   feedback subscribe, so nothing reaches through window globals.
+   ═══════════════════════════════════════════════════════════════ */
+
+/**
+ * Event names and their payloads.
+ *
+ * @typedef {typeof import('./panels.js').PANELS[number]} Panel
+ * @typedef {Object} EventMap
+ * @property {{ panel: Panel }} 'panel:active'           - view is now on a panel, however it got there
+ * @property {{ returning: boolean }} 'boot:start'       - boot sequence starts (page load or reboot)
+ * @property {{}} 'boot:complete'                        - entry animation done, controls live
+ * @property {{ command: string }} 'terminal:feedback'   - echo a command in the feedback toast
+ */
+export const EVENT_TYPES = [
+    'panel:active',
+    'boot:start',
+    'boot:complete',
+    'terminal:feedback',
+];
+
+// Events that mark a state reached rather than a moment: `when` resolves
+// right away once they have fired. Everything else waits for the next one.
+export const LATCHED_EVENTS = new Set(['boot:complete']);
+
+export class EventEmitter {
+    constructor(types = EVENT_TYPES, latched = LATCHED_EVENTS) {
+        this.listeners = new Map(types.map((type) => [type, new Set()]));
+        this.latched = latched;
+        this.lastPayloads = new Map();
+    }
+
+    // Unknown names are a typo, not a new event
+    listenersFor(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(`Unknown event: ${type}`);
+        }
+        return listeners;
+    }
+
+    /**
+     * @template {keyof EventMap} K
+     * @param {K} type
+     * @param {(payload: EventMap[K]) => void} handler
+     * @returns {() => void} unsubscribe
+     */
+    on(type, handler) {
+        this.listenersFor(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.listenersFor(type).delete(handler);
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Resolves with the next payload, or right away if a latched event
+     * (see LATCHED_EVENTS) already fired.
+     * @template {keyof EventMap} K
+     * @param {K} type
+     * @returns {Promise<EventMap[K]>}
+     */
+    when(type) {
+        this.listenersFor(type);
+        if (this.lastPayloads.has(type)) {
+            return Promise.resolve(this.lastPayloads.get(type));
+        }
+        return new Promise((resolve) => this.once(type, resolve));
+    }
+
+    /**
+     * @template {keyof EventMap} K
+     * @param {K} type
+     * @param {EventMap[K]} payload
+     */
+    emit(type, payload = {}) {
+        const listeners = this.listenersFor(type);
+        if (this.latched.has(type)) {
+            this.lastPayloads.set(type, payload);
+        }
+
+        // Copy so handlers can unsubscribe while we iterate
+        [...listeners].forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        });
+    }
+}
+
+// Shared bus for the whole page
+export const events = new EventEmitter();
@@ -0,0 +1,135 @@
+/* ═══════════════════════════════════════════════════════════════
+   SYNTAX HIGHLIGHTER
+   Small regex tokenizer for bash, TypeScript and YAML.
+   Emits `tok-*` spans colored by the Catppuccin palette in CSS,
+   one `.code-line` per source line with its line number.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { escapeHtml } from './markdown.js';
+
+// Rules are tried in order at each position; the first match wins.
+// All patterns are compiled sticky so they only match at the cursor.
+const GRAMMARS = {
+    bash: [
+        ['variable', /\$\{[^}\n]*\}|\$[A-Za-z_]\w*|\$[#?$!@*0-9]/],
+        ['comment', /#.*/],
+        ['string', /"(?:\\.|[^"\\])*"|'[^']*'/],
+        ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|local|declare|export|readonly|select|break|continue)\b/],
+        ['builtin', /\b(?:echo|printf|read|cd|exit|source|set|unset|shift|test|true|false)\b/],
+        ['function', /\b[A-Za-z_][\w-]*(?=\s*\(\))/],
+        ['parameter', /(?<=\s)--?[A-Za-z][\w-]*/],
+        ['number', /\b\d+\b/],
+        ['operator', /\[\[|\]\]|[|&;<>=!%]+/],
+        ['punctuation', /[{}()[\]]/],
+    ],
+    typescript: [
+        ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+        ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`/],
+        ['tag', /(?<![\w$])<\/?[A-Za-z][\w.]*|\/?>(?=\s*(?:$|[\n{}<)]))/],
+        ['keyword', /\b(?:import|from|export|default|const|let|var|function|return|if|else|for|while|interface|type|extends|implements|class|new|async|await|as|typeof|keyof|in|of)\b/],
+        ['constant', /\b(?:true|false|null|undefined|this)\b/],
+        ['type', /\b[A-Z][\w$]*\b/],
+        ['function', /\b[a-z_$][\w$]*(?=\s*\()/],
+        ['property', /\b[a-z_$][\w$]*(?=\??\s*:)/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+        ['operator', /=>|[=<>!&|?:+\-*/%]+/],
+        ['punctuation', /[{}()[\];,.]/],
+    ],
+    yaml: [
+        ['comment', /(?<![^\s])#.*/],
+        ['string', /"(?:\\.|[^"\\\n])*"|'[^'\n]*'/],
+        ['key', /[\w.-]+(?=:(?:\s|$))/],
+        ['constant', /\b(?:true|false|null|yes|no|on|off)\b(?![\w-])/],
+        ['number', /\b\d+(?:\.\d+)?\b(?![\w-])/],
+        ['anchor', /[&*][\w-]+/],
+        ['punctuation', /^[ \t]*-(?=\s)|[:|>[\]{},]/],
+    ],
+};
+
+// File extension -> grammar
+const EXTENSIONS = {
+    sh: 'bash',
+    bash: 'bash',
+    zsh: 'bash',
+    ts: 'typescript',
+    tsx: 'typescript',
+    js: 'typescript',
+    jsx: 'typescript',
+    yml: 'yaml',
+    yaml: 'yaml',
+};
+
+const compiled = Object.fromEntries(
+    Object.entries(GRAMMARS).map(([language, rules]) => [
+        language,
+        rules.map(([type, pattern]) => [type, new RegExp(pattern.source, 'ym')]),
+    ]),
+);
+
+export function languageForFile(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return EXTENSIONS[extension] || null;
+}
+
+// Split source into [{ type, text }]; type is null for plain text
+export function tokenize(source, language) {
+    const rules = compiled[language];
+    if (!rules) return [{ type: null, text: source }];
+
+    const tokens = [];
+    let plain = '';
+    let position = 0;
+
+    while (position < source.length) {
+        let matched = null;
+
+        for (const [type, regex] of rules) {
+            regex.lastIndex = position;
+            const match = regex.exec(source);
+            if (match && match[0].length > 0) {
+                matched = { type, text: match[0] };
+                break;
+            }
+        }
+
+        if (matched) {
+            if (plain) {
+                tokens.push({ type: null, text: plain });
+                plain = '';
+            }
+            tokens.push(matched);
+            position += matched.text.length;
+        } else {
+            // Consume a whole identifier so rules can't match mid-word
+            const word = /[\w$]+|[\s\S]/y;
+            word.lastIndex = position;
+            const text = word.exec(source)[0];
+            plain += text;
+            position += text.length;
+        }
+    }
+
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+}
+
+// Highlighted HTML, one `.code-line` per line; tokens spanning lines are split
+export function highlight(source, language) {
+    const lines = [[]];
+
+    for (const { type, text } of tokenize(source.replace(/\n$/, ''), language)) {
+        text.split('\n').forEach((segment, index) => {
+            if (index > 0) lines.push([]);
+            if (!segment) return;
+            const escaped = escapeHtml(segment);
+            lines[lines.length - 1].push(type ? `<span class="tok-${type}">${escaped}</span>` : escaped);
+        });
+    }
+
+    return lines
+        .map((parts, index) => (
+            `<span class="code-line"><span class="line-number">${index + 1}</span>` +
+            `<span class="line-content">${parts.join('')}</span></span>`
+        ))
+        .join('');
+}
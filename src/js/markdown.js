@@ -0,0 +1,168 @@
+/* ═══════════════════════════════════════════════════════════════
+   MARKDOWN
+   Front matter parser and a small Markdown-to-HTML renderer.
+   Covers what the content files use: headings, paragraphs,
+   lists, fenced code, blockquotes, links, bold, italics, code.
+   No DOM access so it also runs at build time under Node.
+   ═══════════════════════════════════════════════════════════════ */
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ═══ FRONT MATTER ═══
+
+// Parse a scalar front matter value: quoted strings, [lists], numbers, booleans
+function parseValue(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map((item) => parseValue(item)) : [];
+    }
+    if (/^(['"]).*\1$/.test(value)) {
+        return value.slice(1, -1);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+// Split `---` delimited `key: value` front matter from the document body
+export function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    const data = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).trim();
+        data[key] = parseValue(line.slice(separator + 1));
+    }
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+// ═══ RENDERING ═══
+
+function renderInline(text) {
+    // Pull code spans out first so their contents stay literal
+    const codeSpans = [];
+    let html = text.replace(/`([^`]+)`/g, (_, code) => {
+        codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = escapeHtml(html)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => {
+            const external = /^https?:/.test(href);
+            const attrs = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `<a href="${href}" class="link"${attrs}>${label}</a>`;
+        })
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[Number(index)]);
+}
+
+export function renderMarkdown(source) {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            const items = list.items.map((item) => `<li>${renderInline(item)}</li>`).join('');
+            blocks.push(`<${list.tag}>${items}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block
+        const fence = line.match(/^```\s*([\w-]*)/);
+        if (fence) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            while (++i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i]);
+            }
+            const langClass = fence[1] ? ` class="language-${fence[1]}"` : '';
+            blocks.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:([-*+])|(\d+)\.)\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[3]);
+            continue;
+        }
+
+        const quote = line.match(/^>\s?(.*)$/);
+        if (quote) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<blockquote>${renderInline(quote[1])}</blockquote>`);
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+            flushParagraph();
+            flushList();
+            blocks.push('<hr>');
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    }
+
+    flushParagraph();
+    flushList();
+
+    return blocks.join('\n');
+}
@@ -0,0 +1,132 @@
+/* ═══════════════════════════════════════════════════════════════
+   PAGER
+   less-style keys for a scrolling element, with a status line:
+     j / k / ↓ / ↑         one line
+     space / f / PageDown  one page forward
+     b / PageUp            one page back
+     g / Home, G / End     either end
+     q                     quit
+   Keys it handles stop there, so the camera's arrow keys and the
+   page shortcuts don't also fire.
+   ═══════════════════════════════════════════════════════════════ */
+
+// Used when the viewport's line-height is `normal`
+const FALLBACK_LINE_HEIGHT = 20;
+
+export class Pager {
+    /**
+     * options:
+     *   status - element for the `name lines 1-24/80 30%` prompt
+     *   onQuit - called for q
+     */
+    constructor(viewport, { status = null, onQuit = () => {} } = {}) {
+        this.viewport = viewport;
+        this.status = status;
+        this.onQuit = onQuit;
+        this.name = '';
+        this.target = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.updateStatus = this.updateStatus.bind(this);
+        this.viewport.addEventListener('scroll', this.updateStatus, { passive: true });
+    }
+
+    // Listen for keys on `target` (the window holding the viewport)
+    attach(target) {
+        this.detach();
+        this.target = target;
+        target.addEventListener('keydown', this.onKeyDown);
+    }
+
+    detach() {
+        if (!this.target) return;
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target = null;
+    }
+
+    destroy() {
+        this.detach();
+        this.viewport.removeEventListener('scroll', this.updateStatus);
+    }
+
+    // New content: back to the top, prompt named after it
+    reset(name = '') {
+        this.name = name;
+        this.viewport.scrollTop = 0;
+        this.updateStatus();
+    }
+
+    onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest?.('input, textarea, select')) return;
+
+        switch (event.key) {
+            case 'j':
+            case 'ArrowDown':
+                this.scrollLines(1);
+                break;
+            case 'k':
+            case 'ArrowUp':
+                this.scrollLines(-1);
+                break;
+            case ' ':
+                this.scrollPages(event.shiftKey ? -1 : 1);
+                break;
+            case 'f':
+            case 'PageDown':
+                this.scrollPages(1);
+                break;
+            case 'b':
+            case 'PageUp':
+                this.scrollPages(-1);
+                break;
+            case 'g':
+            case 'Home':
+                this.viewport.scrollTop = 0;
+                break;
+            case 'G':
+            case 'End':
+                this.viewport.scrollTop = this.viewport.scrollHeight;
+                break;
+            case 'q':
+                this.onQuit();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    getLineHeight() {
+        const lineHeight = parseFloat(getComputedStyle(this.viewport).lineHeight);
+        return Number.isFinite(lineHeight) ? lineHeight : FALLBACK_LINE_HEIGHT;
+    }
+
+    scrollLines(count) {
+        this.viewport.scrollTop += count * this.getLineHeight();
+    }
+
+    // A page keeps one line of overlap, like less
+    scrollPages(count) {
+        const page = Math.max(this.viewport.clientHeight - this.getLineHeight(), this.getLineHeight());
+        this.viewport.scrollTop += count * page;
+    }
+
+    updateStatus() {
+        if (!this.status) return;
+
+        const { scrollTop, scrollHeight, clientHeight } = this.viewport;
+        const lineHeight = this.getLineHeight();
+        const total = Math.max(1, Math.ceil(scrollHeight / lineHeight));
+        const first = Math.floor(scrollTop / lineHeight) + 1;
+        const last = Math.min(total, Math.floor((scrollTop + clientHeight) / lineHeight));
+
+        if (scrollTop + clientHeight >= scrollHeight - 1) {
+            this.status.textContent = '(END)';
+        } else {
+            const percent = Math.round(((scrollTop + clientHeight) / scrollHeight) * 100);
+            this.status.textContent = `${this.name} lines ${first}-${last}/${total} ${percent}%`;
+        }
+    }
+}
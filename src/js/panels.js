@@ -0,0 +1,122 @@
+/* ═══════════════════════════════════════════════════════════════
+   PANEL MANIFEST
+   Single source of truth for the panels around the room.
+   Positions, camera targets, nav buttons, number-key shortcuts,
+   shell directories and point lights are all derived from here.
+   ═══════════════════════════════════════════════════════════════ */
+
+// Distance from the camera (room center) to every panel
+export const PANEL_RADIUS = 800;
+
+/*
+ * id         - stable name used by the scene, HUD and shell
+ * element    - id of the panel's DOM element in index.html
+ * label      - short name shown on the nav button
+ * path       - shell directory that maps to this panel
+ * icon       - nav button glyph
+ * angle      - degrees around the ring, 0 = front, negative = left
+ * height     - vertical offset of the panel center
+ * lightColor - palette color (see theme.js) of the point light above the panel
+ * caption    - one-line description shown by the guided tour
+ *
+ * Order matters: it is the reveal order and the `1`-`9` shortcut order.
+ */
+export const PANELS = [
+    {
+        id: 'hero',
+        element: 'panel-hero',
+        label: 'home',
+        path: '~',
+        icon: '▲',
+        angle: 0,
+        height: 0,
+        lightColor: 'blue',
+        caption: 'whoami, and where to find me',
+    },
+    {
+        id: 'skills',
+        element: 'panel-skills',
+        label: 'skills',
+        path: '~/skills',
+        icon: '◀',
+        angle: -60,
+        height: 0,
+        lightColor: 'mauve',
+        caption: 'one file per skill, click to open',
+    },
+    {
+        id: 'projects',
+        element: 'panel-projects',
+        label: 'projects',
+        path: '~/projects',
+        icon: '▶',
+        angle: 60,
+        height: 0,
+        lightColor: 'green',
+        caption: 'things I have built, click a row for its README',
+    },
+    {
+        id: 'stats',
+        element: 'panel-stats',
+        label: 'stats',
+        path: '~/stats',
+        icon: '▼',
+        angle: 180,
+        height: 0,
+        lightColor: 'yellow',
+        caption: 'system info, neofetch style',
+    },
+    {
+        id: 'posts',
+        element: 'panel-posts',
+        label: 'posts',
+        path: '~/posts',
+        icon: '◆',
+        angle: -120,
+        height: 0,
+        lightColor: 'peach',
+        caption: 'writing, paged like less',
+    },
+];
+
+export function getPanel(id) {
+    return PANELS.find((panel) => panel.id === id) || null;
+}
+
+// Panel angle in radians, also the camera yaw (theta) that faces it
+export function getPanelTheta(panel) {
+    return (panel.angle * Math.PI) / 180;
+}
+
+// Position on the ring; matches the camera's look direction for `angle`
+export function getPanelPosition(panel, radius = PANEL_RADIUS) {
+    const theta = getPanelTheta(panel);
+    return {
+        x: Math.sin(theta) * radius,
+        y: panel.height,
+        z: -Math.cos(theta) * radius,
+    };
+}
+
+// Y rotation that turns the panel to face the room center
+export function getPanelRotationY(panel) {
+    return -getPanelTheta(panel);
+}
+
+// Camera spherical angles that center the panel in view
+export function getPanelView(panel) {
+    return {
+        theta: getPanelTheta(panel),
+        phi: Math.PI / 2 - Math.atan2(panel.height, PANEL_RADIUS),
+    };
+}
+
+// Panels in left-to-right order around the ring, for the nav HUD
+export function getPanelsByAngle() {
+    // Map to (-180, 180] so the back panel sorts last
+    const normalize = (angle) => {
+        const wrapped = ((angle % 360) + 360) % 360;
+        return wrapped > 180 ? wrapped - 360 : wrapped;
+    };
+    return [...PANELS].sort((a, b) => normalize(a.angle) - normalize(b.angle));
+}
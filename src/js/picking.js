@@ -0,0 +1,131 @@
+/* ═══════════════════════════════════════════════════════════════
+   PANEL PICKING
+   Maps a pointer position onto the CSS3D panels with a raycast:
+   only panels facing the camera are tested, nearest first, and
+   the hit point is converted into the panel's own layout space
+   to find the interactive element underneath.
+   ═══════════════════════════════════════════════════════════════ */
+
+import * as THREE from 'three';
+
+// Elements a click or tap should be forwarded to, innermost wins
+export const INTERACTIVE_SELECTOR = [
+    'button', 'a', 'input', 'select', 'textarea',
+    '.skill-file', '.skill-popup-close', '.project-popup-close', '.post-popup-close',
+    '.nav-btn', '.link', '.project-item', '.post-item',
+].join(', ');
+
+// CSS3D panels face +Z in their local space
+const PANEL_NORMAL = new THREE.Vector3(0, 0, 1);
+
+export class PanelPicker {
+    constructor(camera, cssScene, domElement) {
+        this.camera = camera;
+        this.cssScene = cssScene;
+        this.domElement = domElement;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.plane = new THREE.Plane();
+        this.normal = new THREE.Vector3();
+        this.hitPoint = new THREE.Vector3();
+        this.worldPosition = new THREE.Vector3();
+        this.worldQuaternion = new THREE.Quaternion();
+    }
+
+    // Panels and popups currently drawn on screen
+    isVisible(object) {
+        const { style, classList } = object.element;
+        if (style.display === 'none' || style.opacity === '0') return false;
+
+        // Popups stay in the scene while closed, only `.active` shows them
+        return !classList.contains('skill-popup-3d') || classList.contains('active');
+    }
+
+    // Every visible panel under the pointer, nearest first, as
+    // { object, distance, x, y } with x/y in the element's CSS pixels
+    intersectPanels(clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const { ray } = this.raycaster;
+
+        const hits = [];
+        this.cssScene.traverse((object) => {
+            if (!object.isCSS3DObject || !this.isVisible(object)) return;
+
+            // Skip panels seen from behind (backface-visibility hides them anyway)
+            this.normal.copy(PANEL_NORMAL).applyQuaternion(object.getWorldQuaternion(this.worldQuaternion));
+            if (this.normal.dot(ray.direction) >= 0) return;
+
+            this.plane.setFromNormalAndCoplanarPoint(this.normal, object.getWorldPosition(this.worldPosition));
+            if (!ray.intersectPlane(this.plane, this.hitPoint)) return;
+
+            // CSS3DRenderer centers the element on the object, 1 CSS pixel per world unit
+            const local = object.worldToLocal(this.hitPoint.clone());
+            const width = object.element.offsetWidth;
+            const height = object.element.offsetHeight;
+            const x = local.x + width / 2;
+            const y = height / 2 - local.y;
+            if (x < 0 || x > width || y < 0 || y > height) return;
+
+            hits.push({ object, distance: ray.origin.distanceTo(this.hitPoint), x, y });
+        });
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    // The interactive element under the pointer, or null.
+    // The nearest panel always wins, so a popup blocks what is behind it.
+    pick(clientX, clientY) {
+        const [hit] = this.intersectPanels(clientX, clientY);
+        if (!hit) return null;
+
+        const root = hit.object.element;
+
+        // Popups only take input once they finish opening
+        if (root.classList.contains('skill-popup-3d') && !root.classList.contains('interactive')) {
+            return null;
+        }
+
+        let picked = null;
+        let pickedArea = Infinity;
+        root.querySelectorAll(INTERACTIVE_SELECTOR).forEach((element) => {
+            if (element.offsetParent === null) return; // display: none
+
+            const box = getLayoutBox(element, root);
+            if (hit.x < box.left || hit.x > box.left + box.width ||
+                hit.y < box.top || hit.y > box.top + box.height) return;
+
+            // Nested matches (a link inside a .project-item): the smallest box is innermost
+            const area = box.width * box.height;
+            if (area <= pickedArea) {
+                picked = element;
+                pickedArea = area;
+            }
+        });
+
+        return picked;
+    }
+}
+
+// An element's untransformed box relative to `root`, following offsetParents
+// and subtracting the scroll of any scrolled container in between
+function getLayoutBox(element, root) {
+    let left = 0;
+    let top = 0;
+
+    for (let node = element; node && node !== root; node = node.offsetParent) {
+        left += node.offsetLeft;
+        top += node.offsetTop;
+    }
+    for (let node = element.parentElement; node && node !== root; node = node.parentElement) {
+        left -= node.scrollLeft;
+        top -= node.scrollTop;
+    }
+
+    return { left, top, width: element.offsetWidth, height: element.offsetHeight };
+}
@@ -0,0 +1,208 @@
+/* ═══════════════════════════════════════════════════════════════
+   POPUP STATE
+   Explicit state machine for a popup window, so rapid clicks can
+   never leave it half open. Timing comes from an injectable clock
+   and styling from configurable class names; each popup gets its
+   own instance.
+
+   closed ──open()──▶ opening ──(transition)──▶ open
+     ▲                   │ close()                │ close()
+     └──(transition)── closing ◀──────────────────┘
+                         │ open()  → back to opening
+   ═══════════════════════════════════════════════════════════════ */
+
+export const POPUP_STATES = {
+    CLOSED: 'closed',
+    OPENING: 'opening',
+    OPEN: 'open',
+    CLOSING: 'closing',
+};
+
+/*
+ * visible     - on from open() until fully closed
+ * closing     - while fading out
+ * interactive - only once fully open, so half-open popups ignore clicks
+ */
+export const DEFAULT_CLASS_NAMES = {
+    visible: 'active',
+    closing: 'fading',
+    interactive: 'interactive',
+};
+
+// The browser's timers; tests pass a fake with the same shape
+export const systemClock = {
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    now: () => Date.now(),
+};
+
+const STATES = POPUP_STATES;
+
+export class PopupStateManager {
+    static STATES = POPUP_STATES;
+
+    /**
+     * options:
+     *   transitionDuration - ms spent in opening/closing (default 150)
+     *   classNames         - overrides for DEFAULT_CLASS_NAMES
+     *   clock              - { setTimeout, clearTimeout, now }, default systemClock
+     *   historyLimit       - transitions kept by getHistory() (default 50)
+     *   onStateChange(newState, oldState)
+     *   onPositionNeeded(position) - place the popup before it shows
+     */
+    constructor(element, {
+        transitionDuration = 150,
+        classNames = {},
+        clock = systemClock,
+        historyLimit = 50,
+        onStateChange = () => {},
+        onPositionNeeded = () => {},
+    } = {}) {
+        this.element = element;
+        this.state = STATES.CLOSED;
+        this.transitionDuration = transitionDuration;
+        this.classNames = { ...DEFAULT_CLASS_NAMES, ...classNames };
+        this.clock = clock;
+        this.historyLimit = historyLimit;
+        this.history = [];
+
+        this.onStateChange = onStateChange;
+        this.onPositionNeeded = onPositionNeeded;
+
+        // { timer, promise, resolve } for the transition in flight
+        this.pending = null;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    isVisible() {
+        return this.state === STATES.OPENING || this.state === STATES.OPEN;
+    }
+
+    isInteractive() {
+        return this.state === STATES.OPEN;
+    }
+
+    // Past transitions, oldest first: [{ from, to, at }]
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Show the popup at `position`.
+     * Resolves true once fully open, or false if a close() or forceClose()
+     * interrupts the transition.
+     * @returns {Promise<boolean>}
+     */
+    open(position = 'center') {
+        // Already showing: just move it
+        if (this.state === STATES.OPEN) {
+            this.onPositionNeeded(position);
+            return Promise.resolve(true);
+        }
+        if (this.state === STATES.OPENING) {
+            this.onPositionNeeded(position);
+            return this.pending.promise;
+        }
+
+        // Reopening mid-fade restarts from the current visual state
+        this.cancelPendingTransition();
+        this.element.classList.remove(this.classNames.closing);
+
+        // Position before showing
+        this.onPositionNeeded(position);
+
+        this.element.classList.add(this.classNames.visible);
+        this.element.classList.remove(this.classNames.interactive);
+        this.transition(STATES.OPENING);
+
+        return this.schedule(() => {
+            this.element.classList.add(this.classNames.interactive);
+            this.transition(STATES.OPEN);
+        });
+    }
+
+    /**
+     * Hide the popup.
+     * Resolves true once fully closed, or false if an open() interrupts it.
+     * @returns {Promise<boolean>}
+     */
+    close() {
+        if (this.state === STATES.CLOSED) {
+            return Promise.resolve(true);
+        }
+        if (this.state === STATES.CLOSING) {
+            return this.pending.promise;
+        }
+
+        // Closing mid-open abandons the open
+        this.cancelPendingTransition();
+
+        // Immediately remove interactivity
+        this.element.classList.remove(this.classNames.interactive);
+        this.element.classList.add(this.classNames.closing);
+        this.transition(STATES.CLOSING);
+
+        return this.schedule(() => {
+            this.element.classList.remove(this.classNames.visible, this.classNames.closing);
+            this.transition(STATES.CLOSED);
+        });
+    }
+
+    // Close at once, skipping the fade (reading mode, scene teardown).
+    // A pending close() resolves true, since the popup does end up closed;
+    // a pending open() resolves false.
+    forceClose() {
+        this.cancelPendingTransition(this.state === STATES.CLOSING);
+        this.element.classList.remove(
+            this.classNames.visible,
+            this.classNames.closing,
+            this.classNames.interactive,
+        );
+        if (this.state !== STATES.CLOSED) {
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    // ═══ INTERNALS ═══
+
+    transition(state) {
+        const from = this.state;
+        this.state = state;
+
+        this.history.push({ from, to: state, at: this.clock.now() });
+        if (this.history.length > this.historyLimit) {
+            this.history.shift();
+        }
+
+        this.onStateChange(state, from);
+    }
+
+    // Finish the current transition after transitionDuration; the promise
+    // resolves true when it does, false if cancelled first
+    schedule(finish) {
+        let resolve;
+        const promise = new Promise((done) => {
+            resolve = done;
+        });
+
+        const timer = this.clock.setTimeout(() => {
+            this.pending = null;
+            finish();
+            resolve(true);
+        }, this.transitionDuration);
+
+        this.pending = { timer, promise, resolve };
+        return promise;
+    }
+
+    // Drop the scheduled finish; its promise resolves with `result`
+    cancelPendingTransition(result = false) {
+        if (!this.pending) return;
+        this.clock.clearTimeout(this.pending.timer);
+        this.pending.resolve(result);
+        this.pending = null;
+    }
+}
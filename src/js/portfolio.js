@@ -0,0 +1,105 @@
+/* ═══════════════════════════════════════════════════════════════
+   PORTFOLIO
+   Owns the one 3D scene: builds it the first time 3D is shown,
+   pauses it for reading mode, and on the dev server swaps in an
+   edited three-setup.js without reloading the page or replaying
+   the boot sequence.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { events } from './events.js';
+import {
+    applyReadingLayout,
+    initReadingModeToggle,
+    shouldStartInReadingMode,
+} from './reading-mode.js';
+import { PortfolioScene } from './three-setup.js';
+
+// Replaced by hot updates, so always construct through this
+let SceneClass = PortfolioScene;
+
+let portfolioScene = null;
+let activeScene = null;
+
+// Snapshot from a scene hot-swapped while in reading mode, for the next one built
+let carriedState = null;
+
+export function initPortfolio() {
+    // Check for WebGL support
+    const webglAvailable = Boolean(window.WebGLRenderingContext);
+    if (!webglAvailable) {
+        console.warn('WebGL not supported, falling back to 2D');
+    }
+
+    initReadingModeToggle(setReadingMode, { available: webglAvailable });
+    setReadingMode(!webglAvailable || shouldStartInReadingMode());
+}
+
+// Switch between the 3D room and the 2D reading layout.
+// The scene is only built the first time 3D is shown.
+export function setReadingMode(enabled) {
+    if (enabled) {
+        if (portfolioScene) {
+            portfolioScene.pause();
+        }
+        activeScene = null;
+    } else {
+        if (portfolioScene) {
+            portfolioScene.resume();
+        } else {
+            portfolioScene = new SceneClass({ restore: carriedState });
+            carriedState = null;
+        }
+        activeScene = portfolioScene;
+    }
+
+    applyReadingLayout(enabled);
+}
+
+// The running 3D scene, or null in reading mode (callers fall back to plain DOM behaviour)
+export function getActiveScene() {
+    return activeScene;
+}
+
+// Tear the scene down; the next switch out of reading mode builds a fresh one
+export function destroyPortfolio() {
+    if (!portfolioScene) return;
+    portfolioScene.destroy();
+    portfolioScene = null;
+    activeScene = null;
+}
+
+// ═══ HOT MODULE REPLACEMENT ═══
+
+// Rebuild the scene from the edited class, keeping the view, zoom and open popups.
+// Edits to camera-controls.js are handled by three-setup.js and never reach here.
+if (import.meta.hot) {
+    import.meta.hot.accept('./three-setup.js', (module) => {
+        if (!module) return;
+        SceneClass = module.PortfolioScene;
+        if (!portfolioScene) return;
+
+        const state = portfolioScene.getSnapshot();
+        const wasActive = activeScene === portfolioScene;
+        destroyPortfolio();
+
+        if (wasActive) {
+            portfolioScene = new SceneClass({ restore: state });
+            activeScene = portfolioScene;
+        } else {
+            carriedState = state;
+        }
+    });
+}
+
+// Automated browsers (the Puppeteer suite in tests/) drive the scene through this.
+// Only `vite build --mode test` includes it; production bundles drop the block.
+if (import.meta.env.MODE === 'test') {
+    window.portfolio = { events, getActiveScene };
+}
+
+// Auto-init if loaded directly
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPortfolio);
+} else {
+    initPortfolio();
+}
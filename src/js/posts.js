@@ -0,0 +1,79 @@
+/* ═══════════════════════════════════════════════════════════════
+   POSTS
+   ~/posts listing built from src/content/posts/*.md
+   Front matter: title, date, tags, summary (optional),
+   draft (true keeps it out of the site and the feed)
+   The file name is the post's name in the shell and the URL
+   ═══════════════════════════════════════════════════════════════ */
+
+import { escapeHtml, parseFrontMatter, renderMarkdown } from './markdown.js';
+import { formatDate, formatSize } from './projects.js';
+
+const postSources = import.meta.glob('../content/posts/*.md', {
+    query: '?raw',
+    import: 'default',
+    eager: true,
+});
+
+function parsePost(path, source) {
+    const { data, body } = parseFrontMatter(source);
+    const file = path.split('/').pop();
+    const date = new Date(data.date);
+
+    return {
+        file,
+        title: data.title || file.replace(/\.md$/, ''),
+        summary: data.summary || '',
+        tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
+        date: Number.isNaN(date.getTime()) ? new Date(0) : date,
+        size: source.length,
+        body: body.trim(),
+        draft: data.draft === true,
+    };
+}
+
+// Alphabetical like `ls`; date-prefixed file names keep that chronological
+export const POSTS = Object.entries(postSources)
+    .map(([path, source]) => parsePost(path, source))
+    .filter((post) => !post.draft)
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+// Look a post up by file name, with or without the .md
+export function getPost(name) {
+    const file = name.endsWith('.md') ? name : `${name}.md`;
+    return POSTS.find((post) => post.file === file) || null;
+}
+
+// ═══ RENDERING ═══
+
+export function renderPostList(container, posts = POSTS) {
+    if (posts.length === 0) {
+        container.innerHTML = '<div class="posts-empty"><span class="comment">total 0</span></div>';
+        return;
+    }
+    container.innerHTML = posts.map((post) => `
+        <div class="post-item" data-post="${escapeHtml(post.file)}">
+            <span class="permissions">-rw-r--r--</span>
+            <span class="user">dan</span>
+            <span class="size">${formatSize(post.size)}</span>
+            <span class="date">${formatDate(post.date)}</span>
+            <span class="name"><a href="#/posts/${encodeURIComponent(post.file)}">${escapeHtml(post.file)}</a></span>
+            <span class="comment"># ${escapeHtml(post.title)}</span>
+        </div>
+    `).join('');
+}
+
+export function renderPostDetail(post) {
+    const tags = post.tags
+        .map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`)
+        .join('');
+
+    return `
+        <div class="project-meta">
+            <div class="info-line"><span class="key">title:</span> <span class="value">${escapeHtml(post.title)}</span></div>
+            <div class="info-line"><span class="key">date:</span> <span class="value">${post.date.toISOString().slice(0, 10)}</span></div>
+        </div>
+        <article class="project-readme">${renderMarkdown(post.body)}</article>
+        <div class="skill-tags">${tags}</div>
+    `;
+}
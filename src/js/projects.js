@@ -0,0 +1,117 @@
+/* ═══════════════════════════════════════════════════════════════
+   PROJECTS
+   ~/projects listing built from src/content/projects/*.md
+   Front matter: name, description, repo, tags, date, size (bytes)
+   The Markdown body is the project's README
+   ═══════════════════════════════════════════════════════════════ */
+
+import { escapeHtml, parseFrontMatter, renderMarkdown } from './markdown.js';
+
+const projectSources = import.meta.glob('../content/projects/*.md', {
+    query: '?raw',
+    import: 'default',
+    eager: true,
+});
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function parseProject(path, source) {
+    const { data, body } = parseFrontMatter(source);
+    const fileName = path.split('/').pop().replace(/\.md$/, '');
+    const date = new Date(data.date);
+
+    return {
+        name: data.name || fileName,
+        description: data.description || '',
+        repo: data.repo || '',
+        tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
+        date: Number.isNaN(date.getTime()) ? new Date(0) : date,
+        size: Number(data.size) || 0,
+        readme: body.trim(),
+    };
+}
+
+// Default listing order is alphabetical, like plain `ls`
+export const PROJECTS = Object.entries(projectSources)
+    .map(([path, source]) => parseProject(path, source))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export function getProject(name) {
+    const bare = name.replace(/\/$/, '');
+    return PROJECTS.find((project) => project.name === bare) || null;
+}
+
+// ═══ FORMATTING ═══
+
+// `ls -h` style sizes: 1330 -> 1.3K
+export function formatSize(bytes) {
+    const units = ['', 'K', 'M', 'G'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? String(value) : `${value.toFixed(1)}${units[unit]}`;
+}
+
+export function formatDate(date) {
+    return `${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')}`;
+}
+
+// ═══ SORTING ═══
+
+// Mirrors ls: -t newest first, -S largest first, -r reverses
+export function sortProjects(projects, { sortBy = 'name', reverse = false } = {}) {
+    const comparators = {
+        name: (a, b) => a.name.localeCompare(b.name),
+        time: (a, b) => b.date - a.date || a.name.localeCompare(b.name),
+        size: (a, b) => b.size - a.size || a.name.localeCompare(b.name),
+    };
+
+    const sorted = [...projects].sort(comparators[sortBy] || comparators.name);
+    return reverse ? sorted.reverse() : sorted;
+}
+
+// Translate ls flags (a Set from parseArgs) into sort options
+export function sortOptionsFromFlags(flags) {
+    let sortBy = 'name';
+    if (flags.has('t')) sortBy = 'time';
+    if (flags.has('S')) sortBy = 'size';
+    return { sortBy, reverse: flags.has('r') };
+}
+
+// ═══ RENDERING ═══
+
+export function renderProjectList(container, projects) {
+    container.innerHTML = projects.map((project) => `
+        <div class="project-item" data-project="${escapeHtml(project.name)}">
+            <span class="permissions">drwxr-xr-x</span>
+            <span class="user">dan</span>
+            <span class="size">${formatSize(project.size)}</span>
+            <span class="date">${formatDate(project.date)}</span>
+            <span class="name"><a href="#/projects/${encodeURIComponent(project.name)}">${escapeHtml(project.name)}/</a></span>
+        </div>
+    `).join('');
+}
+
+// README-style detail view for the project popup
+export function renderProjectDetail(project) {
+    const tags = project.tags
+        .map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`)
+        .join('');
+    const repo = project.repo
+        ? `<a href="${escapeHtml(project.repo)}" class="link" target="_blank" rel="noopener noreferrer">${escapeHtml(project.repo)}</a>`
+        : '<span class="comment"># no public repo</span>';
+
+    return `
+        <div class="project-meta">
+            <div class="info-line"><span class="key">desc:</span> <span class="value">${escapeHtml(project.description)}</span></div>
+            <div class="info-line"><span class="key">repo:</span> ${repo}</div>
+            <div class="info-line"><span class="key">date:</span> <span class="value">${project.date.toISOString().slice(0, 10)}</span></div>
+            <div class="info-line"><span class="key">size:</span> <span class="value">${formatSize(project.size)}</span></div>
+        </div>
+        <div class="project-readme">${renderMarkdown(project.readme)}</div>
+        <div class="skill-tags">${tags}</div>
+    `;
+}
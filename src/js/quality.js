@@ -0,0 +1,88 @@
+/* ═══════════════════════════════════════════════════════════════
+   RENDER QUALITY
+   Tiers of rendering cost for slower devices. While the boot
+   sequence plays the scene samples its frame times and steps down
+   a tier whenever a window of frames runs slow; `?quality=` or the
+   `quality` command pins a tier instead.
+   ═══════════════════════════════════════════════════════════════ */
+
+/*
+ * pixelRatio    - cap on window.devicePixelRatio for the WebGL canvas
+ * antialias     - MSAA on the WebGL renderer (changing it recreates the renderer)
+ * lights        - how many panel point lights stay on, in manifest order
+ * gridDivisions - lines across the floor grid
+ * scanlines     - the full-screen CRT overlay, a large blended layer
+ */
+export const QUALITY_TIERS = {
+    high: {
+        pixelRatio: 2,
+        antialias: true,
+        lights: 5,
+        gridDivisions: 40,
+        scanlines: true,
+    },
+    medium: {
+        pixelRatio: 1.5,
+        antialias: true,
+        lights: 2,
+        gridDivisions: 20,
+        scanlines: true,
+    },
+    low: {
+        pixelRatio: 1,
+        antialias: false,
+        lights: 0,
+        gridDivisions: 10,
+        scanlines: false,
+    },
+};
+
+// Best first: stepping down moves along this list
+export const QUALITY_ORDER = ['high', 'medium', 'low'];
+
+export const DEFAULT_QUALITY = 'high';
+
+export function isQualityTier(name) {
+    return Object.hasOwn(QUALITY_TIERS, name);
+}
+
+// `?quality=low|medium|high`, or null when absent or unknown
+export function getQualityOverride(search = window.location.search) {
+    const name = new URLSearchParams(search).get('quality');
+    return isQualityTier(name) ? name : null;
+}
+
+// The next tier down, or null at the bottom
+export function getLowerTier(name) {
+    return QUALITY_ORDER[QUALITY_ORDER.indexOf(name) + 1] || null;
+}
+
+// Collects frame intervals in fixed windows and reports windows that ran slow.
+// The median ignores one-off hitches like a font load or a GC pause.
+export class FrameTimeMonitor {
+    constructor({ windowSize = 30, frameBudget = 1000 / 40, maxInterval = 250 } = {}) {
+        this.windowSize = windowSize;
+        this.frameBudget = frameBudget; // ms; slower medians step the quality down
+        this.maxInterval = maxInterval; // ms; longer gaps mean the tab was hidden, not slow
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.intervals = [];
+    }
+
+    // Record a frame; returns true when it completes a window whose median was over budget
+    sample(now) {
+        const last = this.lastTime;
+        this.lastTime = now;
+        if (last === null || now - last > this.maxInterval) return false;
+
+        this.intervals.push(now - last);
+        if (this.intervals.length < this.windowSize) return false;
+
+        const sorted = [...this.intervals].sort((a, b) => a - b);
+        this.intervals = [];
+        return sorted[Math.floor(sorted.length / 2)] > this.frameBudget;
+    }
+}
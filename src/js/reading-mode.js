@@ -0,0 +1,93 @@
+/* ═══════════════════════════════════════════════════════════════
+   READING MODE
+   Plain scrolling 2D document for screen readers, keyboard users
+   and anyone who would rather not stand in a rotating room.
+   Defaults on under prefers-reduced-motion; the choice persists.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { PANELS } from './panels.js';
+
+const STORAGE_KEY = 'dev-site:reading-mode';
+
+export function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+// Stored choice, or null if the visitor never picked one
+export function getStoredPreference() {
+    try {
+        const value = localStorage.getItem(STORAGE_KEY);
+        return value === null ? null : value === 'on';
+    } catch {
+        return null;
+    }
+}
+
+export function storePreference(enabled) {
+    try {
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+    } catch {
+        // Private browsing can refuse storage; the toggle still works for this visit
+    }
+}
+
+export function shouldStartInReadingMode() {
+    return getStoredPreference() ?? prefersReducedMotion();
+}
+
+export function isReadingMode() {
+    return document.body.classList.contains('fallback-2d');
+}
+
+// Move panels (each followed by its popups) into the <main> landmark in manifest order
+function layoutDocument() {
+    const main = document.getElementById('reading-view');
+    if (!main) return;
+
+    PANELS.forEach((panel) => {
+        const element = document.getElementById(panel.element);
+        if (!element) return;
+
+        element.setAttribute('role', 'region');
+        element.setAttribute('aria-label', panel.label);
+        main.appendChild(element);
+
+        document
+            .querySelectorAll(`[data-host-panel="${panel.id}"]`)
+            .forEach((popup) => main.appendChild(popup));
+    });
+}
+
+// Switch the page layout; the 3D scene itself is started/paused by portfolio.js
+export function applyReadingLayout(enabled) {
+    document.body.classList.toggle('fallback-2d', enabled);
+    if (enabled) {
+        layoutDocument();
+    }
+
+    const toggle = document.getElementById('mode-toggle');
+    if (toggle) {
+        // The label stays fixed; aria-pressed carries the state for screen readers
+        toggle.setAttribute('aria-pressed', String(enabled));
+        toggle.querySelector('.mode-toggle-state').textContent = enabled ? 'x' : ' ';
+    }
+
+    // script.js re-applies the current route to the new layout
+    document.dispatchEvent(new CustomEvent('readingmodechange', { detail: { enabled } }));
+}
+
+// Wire the toggle button; `onChange(enabled)` does the actual switch
+export function initReadingModeToggle(onChange, { available = true } = {}) {
+    const toggle = document.getElementById('mode-toggle');
+    if (!toggle) return;
+
+    // Without WebGL there is nothing to toggle back to
+    toggle.hidden = !available;
+    if (!available) return;
+
+    toggle.addEventListener('click', () => {
+        const enabled = !isReadingMode();
+        storePreference(enabled);
+        onChange(enabled);
+    });
+}
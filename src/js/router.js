@@ -0,0 +1,76 @@
+/* ═══════════════════════════════════════════════════════════════
+   HASH ROUTER
+   Mirrors the focused panel and open file in the URL:
+   #/ (home), #/projects, #/skills/devops.yml
+   Routes are the panel's shell path with `~` dropped
+   ═══════════════════════════════════════════════════════════════ */
+
+import { PANELS } from './panels.js';
+
+// Parse a location hash into { panel, file }; null if no panel matches
+export function parseRoute(hash) {
+    const path = `~${hash.replace(/^#/, '').replace(/\/+$/, '')}`;
+
+    // Longest panel path that prefixes the route wins
+    const panel = PANELS
+        .filter((p) => path === p.path || path.startsWith(`${p.path}/`))
+        .sort((a, b) => b.path.length - a.path.length)[0];
+
+    if (!panel) return null;
+
+    const rest = path.slice(panel.path.length + 1);
+    let file = null;
+    if (rest) {
+        try {
+            file = decodeURIComponent(rest);
+        } catch {
+            return null;
+        }
+    }
+
+    return { panel, file };
+}
+
+export function formatRoute({ panel, file = null }) {
+    const path = file ? `${panel.path}/${encodeURIComponent(file)}` : panel.path;
+    return `#${path.slice(1) || '/'}`;
+}
+
+export class HashRouter {
+    constructor({ onNavigate }) {
+        this.onNavigate = onNavigate;
+        this.onPopState = () => {
+            const route = this.getRoute();
+            if (route) this.onNavigate(route);
+        };
+    }
+
+    // Route for the current location, or null when the hash is unknown
+    getRoute() {
+        return parseRoute(window.location.hash);
+    }
+
+    start() {
+        window.addEventListener('popstate', this.onPopState);
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.onPopState);
+    }
+
+    // Record a new history entry unless the URL already matches
+    push(route) {
+        const hash = formatRoute(route);
+        if (hash === this.currentHash()) return;
+        window.history.pushState(null, '', hash);
+    }
+
+    // Update the URL without adding a history entry
+    replace(route) {
+        window.history.replaceState(null, '', formatRoute(route));
+    }
+
+    currentHash() {
+        return window.location.hash || '#/';
+    }
+}
@@ -0,0 +1,425 @@
+/* ═══════════════════════════════════════════════════════════════
+   SHELL BUILT-INS
+   A tiny virtual filesystem mapped onto the 3D room:
+   ~ is the hero panel, each sub-directory is another panel
+   ═══════════════════════════════════════════════════════════════ */
+
+import { PANELS } from './panels.js';
+import { POSTS } from './posts.js';
+import { formatDate, formatSize, getProject, sortOptionsFromFlags } from './projects.js';
+import { QUALITY_ORDER, QUALITY_TIERS } from './quality.js';
+import { parseArgs } from './shell.js';
+import { SKILLS } from './skills.js';
+import { getCurrentTheme, normalizeThemeName, setTheme, THEMES } from './theme.js';
+
+// Files shown inside a panel's directory, keyed by shell path
+const DIRECTORY_CONTENTS = {
+    '~/skills': getSkillFiles,
+    '~/projects': getProjectNames,
+    '~/posts': getPostFiles,
+};
+
+// ═══ VIRTUAL FILESYSTEM ═══
+
+// Resolve `target` against `cwd` into a normalized `~/...` path
+export function resolvePath(cwd, target = '~') {
+    let parts;
+    if (target === '~' || target.startsWith('~/')) {
+        parts = target.split('/').slice(1);
+    } else if (target.startsWith('/')) {
+        // There is nothing above home worth visiting
+        parts = target.split('/').slice(1);
+    } else {
+        parts = [...cwd.split('/').slice(1), ...target.split('/')];
+    }
+
+    const stack = [];
+    for (const part of parts) {
+        if (!part || part === '.') continue;
+        if (part === '..') {
+            stack.pop();
+        } else {
+            stack.push(part);
+        }
+    }
+
+    return ['~', ...stack].join('/');
+}
+
+function basename(path) {
+    return path.split('/').pop();
+}
+
+function getSkillFiles() {
+    return SKILLS.map((skill) => skill.name);
+}
+
+function getPostFiles() {
+    return POSTS.map((post) => post.file);
+}
+
+function getProjectNames() {
+    return [...document.querySelectorAll('.project-item .name')]
+        .map((el) => el.textContent.trim());
+}
+
+function findPanelByPath(path) {
+    return PANELS.find((panel) => panel.path === path) || null;
+}
+
+// Panel owning `path`: the one with the longest directory prefix
+function findPanelForPath(path) {
+    return PANELS
+        .filter((panel) => path === panel.path || path.startsWith(`${panel.path}/`))
+        .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+// `~/projects/<name>` -> project, for paths inside a project directory
+function findProjectForPath(path) {
+    const match = path.match(/^~\/projects\/([^/]+)/);
+    return match ? getProject(match[1]) : null;
+}
+
+// Entries of a directory, directories suffixed with `/`; null if not a directory
+function listDirectory(path) {
+    // Each project directory holds just its README
+    const project = findProjectForPath(path);
+    if (project && path === `~/projects/${project.name}`) return ['README.md'];
+
+    if (!findPanelByPath(path)) return null;
+
+    // Panels whose directory sits directly inside this one
+    const subdirectories = PANELS
+        .filter((panel) => panel.path.startsWith(`${path}/`))
+        .map((panel) => panel.path.slice(path.length + 1))
+        .filter((name) => !name.includes('/'))
+        .map((name) => `${name}/`);
+
+    const files = DIRECTORY_CONTENTS[path] ? DIRECTORY_CONTENTS[path]() : [];
+    return [...subdirectories, ...files];
+}
+
+// 'dir', 'file' or null when nothing exists at `path`
+function entryType(path) {
+    if (listDirectory(path) !== null) return 'dir';
+
+    const parent = path.slice(0, path.lastIndexOf('/'));
+    const entries = listDirectory(parent) || [];
+    const name = basename(path);
+    if (entries.includes(`${name}/`)) return 'dir';
+    if (entries.includes(name)) return 'file';
+    return null;
+}
+
+// Complete a (possibly partial) path argument relative to the shell's cwd
+function completePath(prefix, shell, { directoriesOnly = false } = {}) {
+    const slash = prefix.lastIndexOf('/');
+    const dirPart = slash >= 0 ? prefix.slice(0, slash + 1) : '';
+    const directory = resolvePath(shell.cwd, dirPart || '.');
+    const entries = listDirectory(directory) || [];
+
+    return entries
+        .filter((entry) => !directoriesOnly || entry.endsWith('/'))
+        .map((entry) => dirPart + entry);
+}
+
+// ═══ SCENE HELPERS ═══
+
+function findPanelByName(name) {
+    return PANELS.find((panel) => panel.id === name || panel.label === name) || null;
+}
+
+// `cat` and `less` open the same popups; posts page like less either way
+function readFile(command, args, sh, context) {
+    if (args.length === 0) {
+        sh.printError(`${command}: missing file operand`);
+        return;
+    }
+
+    const target = args[0];
+    const path = resolvePath(sh.cwd, target);
+
+    const type = entryType(path);
+    if (type === 'dir') {
+        sh.printError(`${command}: ${target}: Is a directory`);
+        return;
+    }
+    if (!type) {
+        sh.printError(`${command}: ${target}: No such file or directory`);
+        return;
+    }
+    const project = findProjectForPath(path);
+    if (path.startsWith('~/skills/')) {
+        context.openSkill(basename(path));
+    } else if (path.startsWith('~/posts/')) {
+        context.openPost(basename(path));
+    } else if (project && path === `~/projects/${project.name}/README.md`) {
+        context.openProject(project.name);
+    } else {
+        sh.printError(`${command}: ${target}: Permission denied`);
+    }
+}
+
+// ═══ BUILT-INS ═══
+
+export function registerBuiltins(shell, context) {
+    shell.register('help', {
+        description: 'list available commands',
+        run(args, sh) {
+            const commands = sh.getCommandNames().map((name) => sh.commands.get(name));
+            const width = Math.max(...commands.map((c) => (c.usage || c.name).length));
+            commands.forEach(({ name, usage, description }) => {
+                sh.print(`${(usage || name).padEnd(width)}  ${description}`);
+            });
+            sh.print('keys: ↑/↓ history · tab complete · / focus prompt');
+        },
+    });
+
+    shell.register('clear', {
+        description: 'clear the terminal',
+        run(args, sh) {
+            sh.clear();
+        },
+    });
+
+    shell.register('pwd', {
+        description: 'print working directory',
+        run(args, sh) {
+            sh.print(sh.cwd);
+        },
+    });
+
+    shell.register('ls', {
+        usage: 'ls [-ltSr] [dir]',
+        description: 'list directory contents',
+        complete: (prefix, index, sh) => completePath(prefix, sh),
+        run(args, sh) {
+            const { flags, positional } = parseArgs(args);
+            const target = positional[0] || '.';
+            const path = resolvePath(sh.cwd, target);
+
+            // The projects panel re-sorts itself to match (-t, -S, -r)
+            if (path === '~/projects') {
+                const options = [...flags].map((flag) => `-${flag}`).join(' ');
+                const projects = context.listProjects(
+                    sortOptionsFromFlags(flags),
+                    `ls ${options ? `${options} ` : ''}~/projects`,
+                );
+                if (flags.has('l')) {
+                    projects.forEach((project) => {
+                        sh.print(`drwxr-xr-x dan ${formatSize(project.size).padStart(5)} ${formatDate(project.date)} ${project.name}/`);
+                    });
+                } else if (projects.length > 0) {
+                    sh.print(projects.map((project) => `${project.name}/`).join('  '));
+                }
+                return;
+            }
+
+            const entries = listDirectory(path);
+
+            if (entries === null) {
+                if (entryType(path)) {
+                    sh.print(target);
+                } else {
+                    sh.printError(`ls: cannot access '${target}': No such file or directory`);
+                }
+                return;
+            }
+            if (entries.length > 0) {
+                sh.print(entries.join('  '));
+            }
+        },
+    });
+
+    shell.register('cd', {
+        usage: 'cd [dir]',
+        description: 'change directory and face its panel',
+        complete: (prefix, index, sh) => completePath(prefix, sh, { directoriesOnly: true }),
+        run(args, sh) {
+            const target = args[0] || '~';
+            const path = resolvePath(sh.cwd, target);
+            const type = entryType(path);
+
+            if (type !== 'dir') {
+                sh.printError(type
+                    ? `cd: not a directory: ${target}`
+                    : `cd: no such file or directory: ${target}`);
+                return;
+            }
+
+            sh.setCwd(path);
+            context.goToPanel(findPanelForPath(path));
+        },
+    });
+
+    shell.register('cat', {
+        usage: 'cat <file>',
+        description: 'open a file',
+        complete: (prefix, index, sh) => completePath(prefix, sh),
+        run(args, sh) {
+            readFile('cat', args, sh, context);
+        },
+    });
+
+    shell.register('less', {
+        usage: 'less <file>',
+        description: 'page through a file (j/k, space, q)',
+        complete: (prefix, index, sh) => completePath(prefix, sh),
+        run(args, sh) {
+            readFile('less', args, sh, context);
+        },
+    });
+
+    shell.register('open', {
+        usage: 'open <file>',
+        description: 'open a file in a new window',
+        complete: (prefix, index, sh) => completePath(prefix, sh),
+        run(args, sh) {
+            if (args.length === 0) {
+                sh.printError('open: missing file operand');
+                return;
+            }
+
+            const target = args[0];
+            const path = resolvePath(sh.cwd, target);
+
+            const type = entryType(path);
+            if (type === 'dir') {
+                sh.printError(`open: ${target}: Is a directory`);
+                return;
+            }
+            if (!type) {
+                sh.printError(`open: ${target}: No such file or directory`);
+                return;
+            }
+            const project = findProjectForPath(path);
+            let opened;
+            if (path.startsWith('~/skills/')) {
+                opened = context.openWindow('skill', basename(path));
+            } else if (path.startsWith('~/posts/')) {
+                opened = context.openWindow('post', basename(path));
+            } else if (project && path === `~/projects/${project.name}/README.md`) {
+                opened = context.openWindow('project', project.name);
+            } else {
+                sh.printError(`open: ${target}: Permission denied`);
+                return;
+            }
+            if (!opened) {
+                sh.printError('open: no 3D scene in reading mode (try cat)');
+            }
+        },
+    });
+
+    shell.register('look', {
+        usage: 'look --<panel>',
+        description: `face a panel (${PANELS.map((p) => p.label).join(', ')})`,
+        complete: () => PANELS.map((panel) => `--${panel.label}`),
+        run(args, sh) {
+            const { flags, positional } = parseArgs(args);
+            const panel = [...flags, ...positional].map(findPanelByName).find(Boolean);
+
+            if (!panel) {
+                sh.printError(`usage: look ${PANELS.map((p) => `--${p.label}`).join(' | ')}`);
+                return;
+            }
+
+            context.goToPanel(panel);
+        },
+    });
+
+    shell.register('goto', {
+        usage: 'goto panel[n]',
+        description: 'jump to a panel by index',
+        complete: () => PANELS.map((_, i) => `panel[${i}]`),
+        run(args, sh) {
+            const match = (args[0] || '').match(/^(?:panel\[)?(\d+)\]?$/);
+            const panel = match && PANELS[Number(match[1])];
+
+            if (!panel) {
+                sh.printError(`goto: invalid panel: ${args[0] || ''}`.trimEnd());
+                return;
+            }
+
+            context.goToPanel(panel);
+        },
+    });
+
+    shell.register('theme', {
+        usage: 'theme [name]',
+        description: 'list or switch color themes',
+        complete: () => Object.keys(THEMES),
+        run(args, sh) {
+            if (args.length === 0) {
+                const current = getCurrentTheme();
+                Object.entries(THEMES).forEach(([name, theme]) => {
+                    sh.print(`${name === current ? '*' : ' '} ${name.padEnd(10)} ${theme.label}`);
+                });
+                return;
+            }
+
+            if (!setTheme(args[0])) {
+                sh.printError(`theme: unknown theme: ${args[0]} (try ${Object.keys(THEMES).join(', ')})`);
+                return;
+            }
+            sh.print(`theme: catppuccin ${THEMES[normalizeThemeName(args[0])].label}`);
+        },
+    });
+
+    shell.register('quality', {
+        usage: 'quality [low|medium|high]',
+        description: 'show or pin the 3D render quality',
+        complete: () => QUALITY_ORDER,
+        run(args, sh) {
+            const current = context.getQuality();
+            if (!current) {
+                sh.printError('quality: no 3D scene in reading mode');
+                return;
+            }
+
+            if (args.length === 0) {
+                QUALITY_ORDER.forEach((name) => {
+                    const { pixelRatio, antialias, lights, gridDivisions, scanlines } = QUALITY_TIERS[name];
+                    const detail = `dpr<=${pixelRatio} aa=${antialias ? 'on' : 'off'} lights=${lights} grid=${gridDivisions} scanlines=${scanlines ? 'on' : 'off'}`;
+                    sh.print(`${name === current.tier ? '*' : ' '} ${name.padEnd(7)} ${detail}`);
+                });
+                sh.print(`quality: ${current.tier} (${current.source})`);
+                return;
+            }
+
+            if (!context.setQuality(args[0])) {
+                sh.printError(`quality: unknown tier: ${args[0]} (try ${QUALITY_ORDER.join(', ')})`);
+                return;
+            }
+            sh.print(`quality: ${args[0]}`);
+        },
+    });
+
+    shell.register('tour', {
+        usage: 'tour [stop]',
+        description: 'walk through every panel (any input pauses)',
+        complete: () => ['stop'],
+        run(args) {
+            if (args[0] === 'stop') {
+                context.stopTour();
+            } else {
+                context.startTour();
+            }
+        },
+    });
+
+    shell.register('reboot', {
+        description: 'replay the boot sequence (any key skips)',
+        run(args, sh) {
+            if (!context.reboot()) {
+                sh.printError('reboot: no 3D scene in reading mode, or already booting');
+            }
+        },
+    });
+
+    shell.register('q', {
+        description: 'close open files',
+        run() {
+            context.closePopups();
+        },
+    });
+}
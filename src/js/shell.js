@@ -0,0 +1,326 @@
+/* ═══════════════════════════════════════════════════════════════
+   TERMINAL SHELL
+   Interactive prompt with parser, history and tab completion
+   Commands are registered from outside (see shell-commands.js)
+   ═══════════════════════════════════════════════════════════════ */
+
+// Split a command line into tokens, honouring single/double quotes and backslash escapes
+export function tokenize(line) {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let hasToken = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '\\' && quote !== "'" && i + 1 < line.length) {
+            current += line[++i];
+            hasToken = true;
+        } else if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            hasToken = true;
+        } else if (/\s/.test(char)) {
+            if (hasToken) {
+                tokens.push(current);
+                current = '';
+                hasToken = false;
+            }
+        } else {
+            current += char;
+            hasToken = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`unmatched ${quote}`);
+    }
+    if (hasToken) tokens.push(current);
+
+    return tokens;
+}
+
+// Separate `--flag` / `-abc` options from positional arguments
+export function parseArgs(tokens) {
+    const flags = new Set();
+    const positional = [];
+
+    for (const token of tokens) {
+        if (token.startsWith('--') && token.length > 2) {
+            flags.add(token.slice(2));
+        } else if (token.startsWith('-') && token.length > 1) {
+            for (const letter of token.slice(1)) flags.add(letter);
+        } else {
+            positional.push(token);
+        }
+    }
+
+    return { flags, positional };
+}
+
+// Longest string every candidate starts with
+function commonPrefix(candidates) {
+    if (candidates.length === 0) return '';
+    let prefix = candidates[0];
+    for (const candidate of candidates) {
+        while (!candidate.startsWith(prefix)) {
+            prefix = prefix.slice(0, -1);
+        }
+    }
+    return prefix;
+}
+
+export class TerminalShell {
+    constructor(rootElement, options = {}) {
+        this.root = rootElement;
+        this.form = rootElement.querySelector('.shell-form');
+        this.input = rootElement.querySelector('.shell-input');
+        this.output = rootElement.querySelector('.shell-output');
+        this.cwdElement = rootElement.querySelector('.shell-cwd');
+
+        this.commands = new Map();
+        this.cwd = '~';
+
+        // History navigation (up/down arrows)
+        this.history = [];
+        this.historyIndex = 0;
+        this.draft = '';
+
+        this.maxHistory = options.maxHistory || 100;
+        this.maxOutputLines = options.maxOutputLines || 50;
+
+        this.setupEventListeners();
+    }
+
+    // ═══ COMMAND REGISTRY ═══
+
+    // spec: { description, usage, run(args, shell), complete(prefix, argIndex, shell) }
+    register(name, spec) {
+        this.commands.set(name, { name, ...spec });
+    }
+
+    getCommandNames() {
+        return [...this.commands.keys()].sort();
+    }
+
+    // ═══ EVENT HANDLING ═══
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const line = this.input.value;
+            this.input.value = '';
+            this.execute(line);
+        });
+
+        this.input.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        // Focus the prompt with `/` or backtick from anywhere on the page
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.key === '/' || e.key === '`') {
+                e.preventDefault();
+                this.focus();
+            }
+        });
+    }
+
+    onKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+                event.preventDefault();
+                this.historyPrevious();
+                break;
+            case 'ArrowDown':
+                event.preventDefault();
+                this.historyNext();
+                break;
+            case 'Tab':
+                event.preventDefault();
+                this.complete();
+                break;
+            case 'Escape':
+                this.input.blur();
+                break;
+            case 'l':
+                if (event.ctrlKey) {
+                    event.preventDefault();
+                    this.clear();
+                }
+                break;
+        }
+
+        // Keep typing from reaching the camera and panel shortcuts
+        event.stopPropagation();
+    }
+
+    focus() {
+        this.input.focus();
+    }
+
+    // ═══ EXECUTION ═══
+
+    execute(line) {
+        const trimmed = line.trim();
+        this.echo(line);
+        if (!trimmed) return;
+
+        this.pushHistory(trimmed);
+
+        let tokens;
+        try {
+            tokens = tokenize(trimmed);
+        } catch (error) {
+            this.printError(`zsh: parse error: ${error.message}`);
+            return;
+        }
+
+        const [name, ...args] = tokens;
+        const command = this.commands.get(name);
+        if (!command) {
+            this.printError(`zsh: command not found: ${name}`);
+            return;
+        }
+
+        try {
+            command.run(args, this);
+        } catch (error) {
+            console.error(`Shell command failed: ${name}`, error);
+            this.printError(`${name}: ${error.message}`);
+        }
+    }
+
+    // ═══ HISTORY ═══
+
+    pushHistory(line) {
+        if (this.history[this.history.length - 1] !== line) {
+            this.history.push(line);
+            if (this.history.length > this.maxHistory) {
+                this.history.shift();
+            }
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+    }
+
+    historyPrevious() {
+        if (this.historyIndex === 0) return;
+
+        // Remember what was being typed before browsing history
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.input.value;
+        }
+        this.historyIndex--;
+        this.setInput(this.history[this.historyIndex]);
+    }
+
+    historyNext() {
+        if (this.historyIndex >= this.history.length) return;
+
+        this.historyIndex++;
+        this.setInput(
+            this.historyIndex === this.history.length
+                ? this.draft
+                : this.history[this.historyIndex]
+        );
+    }
+
+    setInput(value) {
+        this.input.value = value;
+        this.input.setSelectionRange(value.length, value.length);
+    }
+
+    // ═══ TAB COMPLETION ═══
+
+    complete() {
+        const cursor = this.input.selectionStart;
+        const before = this.input.value.slice(0, cursor);
+        const after = this.input.value.slice(cursor);
+
+        // Only the word under the cursor is completed
+        const match = before.match(/(\S*)$/);
+        const prefix = match[1];
+        const head = before.slice(0, before.length - prefix.length);
+        const argIndex = head.trim() ? head.trim().split(/\s+/).length - 1 : -1;
+
+        let candidates;
+        if (argIndex < 0) {
+            candidates = this.getCommandNames();
+        } else {
+            const name = head.trim().split(/\s+/)[0];
+            const command = this.commands.get(name);
+            candidates = command && command.complete
+                ? command.complete(prefix, argIndex, this)
+                : [];
+        }
+
+        candidates = candidates.filter((c) => c.startsWith(prefix));
+        if (candidates.length === 0) return;
+
+        let completion = commonPrefix(candidates);
+        if (candidates.length === 1 && !completion.endsWith('/')) {
+            completion += ' ';
+        } else if (completion === prefix) {
+            // Ambiguous: list the options like zsh does
+            this.echo(this.input.value);
+            this.print(candidates.join('  '));
+            return;
+        }
+
+        const value = head + completion + after;
+        this.input.value = value;
+        const position = head.length + completion.length;
+        this.input.setSelectionRange(position, position);
+    }
+
+    // ═══ OUTPUT ═══
+
+    echo(line) {
+        const el = this.appendLine('', 'command');
+        const prompt = document.createElement('span');
+        prompt.className = 'shell-line-prompt';
+        prompt.textContent = `${this.cwd} $ `;
+        el.append(prompt, line);
+    }
+
+    print(text) {
+        String(text).split('\n').forEach((line) => this.appendLine(line, 'output'));
+    }
+
+    printError(text) {
+        this.appendLine(text, 'error');
+    }
+
+    appendLine(text, type) {
+        const line = document.createElement('div');
+        line.className = `shell-line ${type}`;
+        line.textContent = text;
+        this.output.appendChild(line);
+
+        while (this.output.children.length > this.maxOutputLines) {
+            this.output.firstElementChild.remove();
+        }
+        this.output.scrollTop = this.output.scrollHeight;
+
+        return line;
+    }
+
+    clear() {
+        this.output.innerHTML = '';
+    }
+
+    // ═══ WORKING DIRECTORY ═══
+
+    setCwd(path) {
+        this.cwd = path;
+        if (this.cwdElement) {
+            this.cwdElement.textContent = path;
+        }
+    }
+}
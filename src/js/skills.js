@@ -0,0 +1,66 @@
+/* ═══════════════════════════════════════════════════════════════
+   SKILLS
+   ~/skills is whatever lives in src/content/skills/
+   Optional per-file metadata (order, popup position, tags)
+   comes from src/content/skills.json
+   ═══════════════════════════════════════════════════════════════ */
+
+import skillMeta from '../content/skills.json';
+import { highlight, languageForFile } from './highlight.js';
+import { escapeHtml } from './markdown.js';
+
+const skillSources = import.meta.glob('../content/skills/*', {
+    query: '?raw',
+    import: 'default',
+    eager: true,
+});
+
+// File icon frames, cycled through in grid order
+const ICON_FRAMES = [
+    ['┌───┐', '│ ▓ │', '└───┘'],
+    ['╔═══╗', '║ ░ ║', '╚═══╝'],
+    ['┏━━━┓', '┃ ▒ ┃', '┗━━━┛'],
+];
+
+export const SKILLS = Object.entries(skillSources)
+    .map(([path, source]) => {
+        const name = path.split('/').pop();
+        const meta = skillMeta[name] || {};
+        return {
+            name,
+            source,
+            language: languageForFile(name),
+            position: meta.position || 'center',
+            tags: meta.tags || [],
+            order: meta.order ?? Infinity,
+        };
+    })
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+
+export function getSkill(name) {
+    return SKILLS.find((skill) => skill.name === name) || null;
+}
+
+// ═══ RENDERING ═══
+
+export function renderSkillGrid(container) {
+    container.innerHTML = SKILLS.map((skill, index) => `
+        <button class="skill-file" data-skill="${escapeHtml(skill.name)}">
+            <div class="file-icon"><pre>${ICON_FRAMES[index % ICON_FRAMES.length].join('\n')}</pre></div>
+            <span class="file-name">${escapeHtml(skill.name)}</span>
+        </button>
+    `).join('');
+}
+
+// Highlighted source plus tags for the skill popup
+export function renderSkillDetail(skill) {
+    const languageClass = skill.language ? ` language-${skill.language}` : '';
+    const tags = skill.tags
+        .map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`)
+        .join('');
+
+    return `
+        <pre class="code-block"><code class="highlighted${languageClass}">${highlight(skill.source, skill.language)}</code></pre>
+        <div class="skill-tags">${tags}</div>
+    `;
+}
@@ -0,0 +1,139 @@
+/* ═══════════════════════════════════════════════════════════════
+   NEOFETCH STATS
+   Repository stats for the neofetch panel, read at build time
+   from src/content/stats.json (see scripts/stats-snapshot.js).
+   Without a snapshot the panel keeps the text in index.html.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { escapeHtml } from './markdown.js';
+
+// Optional file: the glob is simply empty when it doesn't exist
+const snapshots = import.meta.glob('../content/stats.json', {
+    import: 'default',
+    eager: true,
+});
+
+// The .color-blocks palette, in order; the bar gives each language one
+const LANGUAGE_COLORS = ['red', 'peach', 'yellow', 'green', 'sky', 'mauve', 'pink', 'lavender'];
+
+// Smaller languages are summed into "other" to keep the bar readable
+const MAX_LANGUAGES = LANGUAGE_COLORS.length - 1;
+
+/**
+ * Normalize a stats snapshot; null when nothing in it is usable.
+ * @returns {{ repos: number|null, commits: number|null, lastActivity: Date|null,
+ *             languages: { name: string, share: number, color: string }[] } | null}
+ */
+export function parseStats(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const count = (value) => (Number.isFinite(value) && value >= 0 ? Math.round(value) : null);
+    const lastActivity = new Date(data.lastActivity);
+
+    const stats = {
+        repos: count(data.repos),
+        commits: count(data.commits),
+        lastActivity: Number.isNaN(lastActivity.getTime()) ? null : lastActivity,
+        languages: parseLanguages(data.languages),
+    };
+
+    const empty = stats.repos === null && stats.commits === null &&
+        stats.lastActivity === null && stats.languages.length === 0;
+    return empty ? null : stats;
+}
+
+// [{ name, bytes }] -> shares of the total, largest first, with an "other" tail
+function parseLanguages(languages) {
+    if (!Array.isArray(languages)) return [];
+
+    const valid = languages
+        .filter((language) => language?.name && Number(language.bytes) > 0)
+        .map((language) => ({ name: String(language.name), bytes: Number(language.bytes) }))
+        .sort((a, b) => b.bytes - a.bytes);
+    const total = valid.reduce((sum, language) => sum + language.bytes, 0);
+    if (total === 0) return [];
+
+    const top = valid.slice(0, MAX_LANGUAGES);
+    const otherBytes = valid.slice(MAX_LANGUAGES).reduce((sum, language) => sum + language.bytes, 0);
+    if (otherBytes > 0) {
+        top.push({ name: 'other', bytes: otherBytes });
+    }
+
+    return top.map((language, index) => ({
+        name: language.name,
+        share: language.bytes / total,
+        color: LANGUAGE_COLORS[index],
+    }));
+}
+
+export const STATS = parseStats(Object.values(snapshots)[0]);
+
+// ═══ RENDERING ═══
+
+// 1234 -> "1,234"
+function formatCount(value) {
+    return value.toLocaleString('en-US');
+}
+
+function formatPercent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+// "3 days ago", "today"; measured when the page is viewed, so it keeps ageing after the build
+function formatAge(date, now = new Date()) {
+    const days = Math.floor((now - date) / 86400000);
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 60) return `${days} days ago`;
+    const months = Math.floor(days / 30);
+    return months < 24 ? `${months} months ago` : `${Math.floor(days / 365)} years ago`;
+}
+
+function infoLine(key, value) {
+    return `<div class="info-line"><span class="key">${key}:</span> <span class="value stat-num">${value}</span></div>`;
+}
+
+/**
+ * Fill `.neofetch-stats` and the `.color-blocks` bar inside `container`
+ * (the .neofetch-info block). Leaves the fallback text alone without stats.
+ * @returns {boolean} whether stats were rendered
+ */
+export function renderNeofetchStats(container, stats = STATS) {
+    const lines = container?.querySelector('.neofetch-stats');
+    if (!lines || !stats) return false;
+
+    const rows = [];
+    if (stats.repos !== null) {
+        rows.push(infoLine('Repos', formatCount(stats.repos)));
+    }
+    if (stats.commits !== null) {
+        rows.push(infoLine('Commits', formatCount(stats.commits)));
+    }
+    if (stats.lastActivity !== null) {
+        const date = stats.lastActivity.toISOString().slice(0, 10);
+        rows.push(infoLine('Last commit', `<time datetime="${date}">${formatAge(stats.lastActivity)}</time>`));
+    }
+    stats.languages.forEach(({ name, share, color }) => {
+        rows.push(`
+            <div class="info-line language-line">
+                <span class="language-swatch" style="background: var(--${color});"></span>
+                <span class="value">${escapeHtml(name)}</span>
+                <span class="stat-num">${formatPercent(share)}</span>
+            </div>
+        `);
+    });
+    lines.innerHTML = rows.join('');
+
+    const bar = container.querySelector('.color-blocks');
+    if (bar && stats.languages.length > 0) {
+        bar.classList.add('language-bar');
+        bar.setAttribute('role', 'img');
+        bar.setAttribute('aria-label', `Languages: ${stats.languages
+            .map(({ name, share }) => `${name} ${formatPercent(share)}`)
+            .join(', ')}`);
+        bar.innerHTML = stats.languages.map(({ name, share, color }) => `
+            <span class="block" style="background: var(--${color}); flex-grow: ${share.toFixed(4)};" title="${escapeHtml(name)} ${formatPercent(share)}"></span>
+        `).join('');
+    }
+    return true;
+}
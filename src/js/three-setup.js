@@ -1,6 +1,7 @@
 /* ═══════════════════════════════════════════════════════════════
    THREE.JS 3D PORTFOLIO SCENE
    Room/Gallery style with CSS3D panels
+   Created and swapped by portfolio.js
    ═══════════════════════════════════════════════════════════════ */
 
 import * as THREE from "three";
@@ -8,133 +9,42 @@ import {
 	CSS3DObject,
 	CSS3DRenderer,
 } from "three/examples/jsm/renderers/CSS3DRenderer.js";
+import {
+	BootSequence,
+	getBootScript,
+	hasVisitedBefore,
+	rememberVisit,
+} from "./boot.js";
 import { CameraControls } from "./camera-controls.js";
-
-/**
- * Centralized state manager for the skill popup.
- * Uses an explicit state machine to prevent timing bugs.
- */
-class PopupStateManager {
-	static STATES = {
-		CLOSED: "closed",
-		OPENING: "opening",
-		OPEN: "open",
-		CLOSING: "closing",
-	};
-
-	constructor(popupElement, options = {}) {
-		this.element = popupElement;
-		this.state = PopupStateManager.STATES.CLOSED;
-		this.transitionDuration = options.transitionDuration || 150;
-		this.pendingTransition = null;
-
-		this.onStateChange = options.onStateChange || (() => {});
-		this.onPositionNeeded = options.onPositionNeeded || (() => {});
-	}
-
-	getState() {
-		return this.state;
-	}
-
-	isVisible() {
-		return (
-			this.state === PopupStateManager.STATES.OPENING ||
-			this.state === PopupStateManager.STATES.OPEN
-		);
-	}
-
-	isInteractive() {
-		return this.state === PopupStateManager.STATES.OPEN;
-	}
-
-	open(position = "center") {
-		this.cancelPendingTransition();
-
-		const prevState = this.state;
-
-		// If already open, just reposition
-		if (this.state === PopupStateManager.STATES.OPEN) {
-			this.onPositionNeeded(position);
-			return;
-		}
-
-		// If closing, restart from current visual state
-		if (this.state === PopupStateManager.STATES.CLOSING) {
-			this.element.classList.remove("fading");
-		}
-
-		// Position before showing
-		this.onPositionNeeded(position);
-
-		// Transition to OPENING
-		this.state = PopupStateManager.STATES.OPENING;
-		this.element.classList.add("active");
-		this.element.classList.remove("interactive");
-
-		this.onStateChange(this.state, prevState);
-
-		// After transition, become fully OPEN
-		this.pendingTransition = setTimeout(() => {
-			this.pendingTransition = null;
-			if (this.state === PopupStateManager.STATES.OPENING) {
-				const prev = this.state;
-				this.state = PopupStateManager.STATES.OPEN;
-				this.element.classList.add("interactive");
-				this.onStateChange(this.state, prev);
-			}
-		}, this.transitionDuration);
-	}
-
-	close() {
-		this.cancelPendingTransition();
-
-		if (
-			this.state === PopupStateManager.STATES.CLOSED ||
-			this.state === PopupStateManager.STATES.CLOSING
-		) {
-			return;
-		}
-
-		const prevState = this.state;
-
-		// Immediately remove interactivity
-		this.element.classList.remove("interactive");
-
-		// Transition to CLOSING
-		this.state = PopupStateManager.STATES.CLOSING;
-		this.element.classList.add("fading");
-
-		this.onStateChange(this.state, prevState);
-
-		// After transition, become fully CLOSED
-		this.pendingTransition = setTimeout(() => {
-			this.pendingTransition = null;
-			if (this.state === PopupStateManager.STATES.CLOSING) {
-				const prev = this.state;
-				this.state = PopupStateManager.STATES.CLOSED;
-				this.element.classList.remove("active", "fading");
-				this.onStateChange(this.state, prev);
-			}
-		}, this.transitionDuration);
-	}
-
-	cancelPendingTransition() {
-		if (this.pendingTransition) {
-			clearTimeout(this.pendingTransition);
-			this.pendingTransition = null;
-		}
-	}
-
-	forceClose() {
-		this.cancelPendingTransition();
-		this.state = PopupStateManager.STATES.CLOSED;
-		this.element.classList.remove("active", "fading", "interactive");
-		this.onStateChange(this.state, null);
-	}
-}
+import { events } from "./events.js";
+import {
+	getPanelPosition,
+	getPanelRotationY,
+	PANELS,
+} from "./panels.js";
+import { PanelPicker } from "./picking.js";
+import { PopupStateManager } from "./popup-state.js";
+import {
+	DEFAULT_QUALITY,
+	FrameTimeMonitor,
+	getLowerTier,
+	getQualityOverride,
+	isQualityTier,
+	QUALITY_TIERS,
+} from "./quality.js";
+import { getCurrentTheme, getTheme, hexToNumber } from "./theme.js";
+import { WindowManager } from "./window-manager.js";
+
+// A panel counts as in view within this angle of the look direction...
+const FOCUS_MAX_ANGLE = THREE.MathUtils.degToRad(50);
+// ...and takes focus only once it is this much nearer than the focused one,
+// so resting between two panels doesn't make the HUD flicker
+const FOCUS_HYSTERESIS = THREE.MathUtils.degToRad(8);
 
 class PortfolioScene {
-	constructor() {
+	// options.restore: a getSnapshot() from the scene this one replaces (hot reload);
+	// the view picks up where it was and the boot sequence is skipped
+	constructor({ restore = null } = {}) {
 		this.camera = null;
 		this.scene = null;
 		this.cssScene = null;
@@ -143,60 +53,86 @@ class PortfolioScene {
 		this.controls = null;
 		this.panels = [];
 		this.isInitialized = false;
+		this.popups = {};
 		this.popupState = null;
+		this.windows = null; // WindowManager for terminal windows
+		this.animationFrame = null;
+		this.paused = false;
+		this.entryComplete = false;
+		this.destroyed = false;
+		this.boot = null; // BootSequence while it plays
+
+		// Timeouts still pending (boot sequence, overlay fade), cleared by destroy()
+		this.timers = new Set();
+
+		// Where each CSS3D element lived in the page, to put it back on destroy()
+		this.elementHomes = [];
+
+		// Render on demand: a frame is drawn only when something changed
+		this.needsRender = true;
+		this.renderUntil = 0; // keep drawing until this time, for CSS transitions
+
+		// Render quality tier (see quality.js); `source` says who picked it:
+		// "default", "measured" (stepped down during boot), "url" or "manual"
+		const qualityOverride = getQualityOverride();
+		this.qualityTier = restore?.quality.tier || qualityOverride || DEFAULT_QUALITY;
+		this.qualitySource = restore?.quality.source || (qualityOverride ? "url" : "default");
+		this.quality = QUALITY_TIERS[this.qualityTier];
+		this.frameMonitor = new FrameTimeMonitor();
+		this.measuringQuality = false;
+
+		// Manifest entry the camera is facing, tracked every frame
+		this.focusedPanel = null;
+		this.lookDirection = new THREE.Vector3();
+
+		// Themed scene objects, recolored on `themechange`
+		this.palette = getTheme(getCurrentTheme()).colors;
+		this.ambientLight = null;
+		this.panelLights = [];
+		this.wireframeMaterial = null;
+		this.floorGrid = null;
+
+		// Panel placement on the room ring, derived from the manifest
+		this.panelConfig = Object.fromEntries(
+			PANELS.map((panel) => {
+				const { x, y, z } = getPanelPosition(panel);
+				return [
+					panel.id,
+					{
+						position: new THREE.Vector3(x, y, z),
+						rotation: new THREE.Euler(0, getPanelRotationY(panel), 0), // Face toward center
+						element: panel.element,
+						manifest: panel,
+					},
+				];
+			}),
+		);
 
-		// Panel configuration
-		// Panels at 60 degrees (PI/3) from front for clear separation
-		const panelDistance = 800;
-		const sideAngle = Math.PI / 3; // 60 degrees
-
-		this.panelConfig = {
-			hero: {
-				position: new THREE.Vector3(0, 0, -panelDistance),
-				rotation: new THREE.Euler(0, 0, 0),
-				element: "panel-hero",
-			},
-			skills: {
-				position: new THREE.Vector3(
-					-Math.sin(sideAngle) * panelDistance,
-					0,
-					-Math.cos(sideAngle) * panelDistance,
-				),
-				rotation: new THREE.Euler(0, sideAngle, 0), // Face toward center
-				element: "panel-skills",
-			},
-			projects: {
-				position: new THREE.Vector3(
-					Math.sin(sideAngle) * panelDistance,
-					0,
-					-Math.cos(sideAngle) * panelDistance,
-				),
-				rotation: new THREE.Euler(0, -sideAngle, 0), // Face toward center
-				element: "panel-projects",
-			},
-			stats: {
-				position: new THREE.Vector3(0, 0, panelDistance),
-				rotation: new THREE.Euler(0, Math.PI, 0), // 180 degrees
-				element: "panel-stats",
-			},
-		};
+		// Bound once so destroy() can remove them
+		this.onWindowResize = this.onWindowResize.bind(this);
+		this.onThemeChange = this.onThemeChange.bind(this);
+		this.onVisibilityChange = this.onVisibilityChange.bind(this);
 
-		this.init();
+		liveScenes.add(this);
+		this.init(restore);
 	}
 
-	init() {
+	init(restore = null) {
 		this.createCamera();
 		this.createScenes();
 		this.createRenderers();
 		this.createRoom();
 		this.createPanels();
 		this.createControls();
+		this.createWindowManager();
 		this.setupEventListeners();
-		this.animate();
+		this.requestRender();
 		this.isInitialized = true;
 
-		// Start entry animation after a brief delay
-		setTimeout(() => this.playEntryAnimation(), 100);
+		// Start entry animation after a brief delay; resolves once controls are enabled
+		this.entryAnimation = restore
+			? this.restoreSnapshot(restore)
+			: this.sleep(100).then(() => this.playEntryAnimation());
 	}
 
 	createCamera() {
@@ -213,7 +149,7 @@ class PortfolioScene {
 	createScenes() {
 		// WebGL scene for room/environment
 		this.scene = new THREE.Scene();
-		this.scene.background = new THREE.Color(0x11111b); // Catppuccin crust
+		this.scene.background = new THREE.Color(this.color("crust"));
 
 		// CSS3D scene for HTML panels
 		this.cssScene = new THREE.Scene();
@@ -223,17 +159,9 @@ class PortfolioScene {
 		const container = document.getElementById("threejs-container");
 
 		// WebGL renderer for environment (rendered first, behind CSS3D)
-		this.webglRenderer = new THREE.WebGLRenderer({
-			antialias: true,
-			alpha: true,
-		});
-		this.webglRenderer.setSize(window.innerWidth, window.innerHeight);
-		this.webglRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-		this.webglRenderer.domElement.style.position = "absolute";
-		this.webglRenderer.domElement.style.top = "0";
-		this.webglRenderer.domElement.style.left = "0";
-		this.webglRenderer.domElement.style.zIndex = "1";
+		this.webglRenderer = this.createWebGLRenderer();
 		container.appendChild(this.webglRenderer.domElement);
+		this.applyScanlines();
 
 		// CSS3D renderer for HTML panels (rendered on top)
 		this.cssRenderer = new CSS3DRenderer();
@@ -245,24 +173,41 @@ class PortfolioScene {
 		container.appendChild(this.cssRenderer.domElement);
 	}
 
+	// Antialiasing is fixed at creation, so quality changes may call this again
+	createWebGLRenderer() {
+		const renderer = new THREE.WebGLRenderer({
+			antialias: this.quality.antialias,
+			alpha: true,
+		});
+		renderer.setSize(window.innerWidth, window.innerHeight);
+		renderer.setPixelRatio(
+			Math.min(window.devicePixelRatio, this.quality.pixelRatio),
+		);
+		renderer.domElement.style.position = "absolute";
+		renderer.domElement.style.top = "0";
+		renderer.domElement.style.left = "0";
+		renderer.domElement.style.zIndex = "1";
+		return renderer;
+	}
+
 	createRoom() {
 		// Ambient light
-		const ambientLight = new THREE.AmbientLight(0x89b4fa, 0.3);
-		this.scene.add(ambientLight);
-
-		// Point lights at panel positions for glow effect
-		const lightPositions = [
-			{ pos: [0, 200, -800], color: 0x89b4fa }, // Front
-			{ pos: [-700, 200, -400], color: 0xcba6f7 }, // Left
-			{ pos: [700, 200, -400], color: 0xa6e3a1 }, // Right
-			{ pos: [0, 200, 800], color: 0xf9e2af }, // Back
-		];
-
-		lightPositions.forEach(({ pos, color }) => {
-			const light = new THREE.PointLight(color, 0.5, 1500);
-			light.position.set(...pos);
+		this.ambientLight = new THREE.AmbientLight(this.color("blue"), 0.3);
+		this.scene.add(this.ambientLight);
+
+		// Point lights above each panel for glow effect
+		this.panelLights = PANELS.map((panel) => {
+			const { x, y, z } = getPanelPosition(panel);
+			const light = new THREE.PointLight(
+				this.color(panel.lightColor),
+				0.5,
+				1500,
+			);
+			light.position.set(x, y + 200, z);
 			this.scene.add(light);
+			return { light, panel };
 		});
+		this.applyLightCount();
 
 		// Create room wireframe edges for spatial reference
 		this.createRoomWireframe();
@@ -273,10 +218,11 @@ class PortfolioScene {
 
 	createRoomWireframe() {
 		const material = new THREE.LineBasicMaterial({
-			color: 0x313244, // Catppuccin surface0
+			color: this.color("surface0"),
 			transparent: true,
 			opacity: 0.5,
 		});
+		this.wireframeMaterial = material;
 
 		// Create hexagonal room outline
 		const radius = 1000;
@@ -329,11 +275,117 @@ class PortfolioScene {
 	}
 
 	createFloorGrid() {
-		const gridHelper = new THREE.GridHelper(2000, 40, 0x313244, 0x1e1e2e);
+		const gridHelper = new THREE.GridHelper(
+			2000,
+			this.quality.gridDivisions,
+			this.color("surface0"),
+			this.color("base"),
+		);
 		gridHelper.position.y = -300;
 		gridHelper.material.transparent = true;
 		gridHelper.material.opacity = 0.3;
 		this.scene.add(gridHelper);
+		this.floorGrid = gridHelper;
+	}
+
+	// Palette color name -> Three.js color number for the active theme
+	color(name) {
+		return hexToNumber(this.palette[name]);
+	}
+
+	// Recolor the room live when the theme changes (see theme.js)
+	applyTheme(theme) {
+		this.palette = theme.colors;
+
+		this.scene.background.set(this.color("crust"));
+		this.ambientLight.color.set(this.color("blue"));
+		this.panelLights.forEach(({ light, panel }) => {
+			light.color.set(this.color(panel.lightColor));
+		});
+		this.wireframeMaterial.color.set(this.color("surface0"));
+
+		// GridHelper bakes its colors into the geometry, so rebuild it
+		this.rebuildFloorGrid();
+		this.requestRender();
+	}
+
+	rebuildFloorGrid() {
+		this.scene.remove(this.floorGrid);
+		this.floorGrid.geometry.dispose();
+		this.floorGrid.material.dispose();
+		this.createFloorGrid();
+	}
+
+	// ═══ QUALITY ═══
+
+	getQuality() {
+		return { tier: this.qualityTier, source: this.qualitySource };
+	}
+
+	// Switch to a tier from quality.js; returns false for unknown names
+	setQuality(name, source = "manual") {
+		if (!isQualityTier(name)) return false;
+
+		// Someone chose a tier, so stop second-guessing it
+		if (source !== "measured") {
+			this.measuringQuality = false;
+		}
+
+		const previous = this.quality;
+		this.qualityTier = name;
+		this.qualitySource = source;
+		this.quality = QUALITY_TIERS[name];
+
+		if (this.quality.antialias !== previous.antialias) {
+			const oldRenderer = this.webglRenderer;
+			this.webglRenderer = this.createWebGLRenderer();
+			oldRenderer.domElement.replaceWith(this.webglRenderer.domElement);
+			oldRenderer.dispose();
+			oldRenderer.forceContextLoss();
+		} else {
+			this.webglRenderer.setPixelRatio(
+				Math.min(window.devicePixelRatio, this.quality.pixelRatio),
+			);
+		}
+
+		if (this.quality.gridDivisions !== previous.gridDivisions) {
+			this.rebuildFloorGrid();
+		}
+		this.applyLightCount();
+		this.applyScanlines();
+
+		this.requestRender();
+		return true;
+	}
+
+	applyLightCount() {
+		this.panelLights.forEach(({ light }, index) => {
+			light.visible = index < this.quality.lights;
+		});
+	}
+
+	// The CRT overlay lives outside the canvas, in the page
+	applyScanlines() {
+		document.body.classList.toggle("no-scanlines", !this.quality.scanlines);
+	}
+
+	// Sample frame times while the boot sequence plays, unless the URL chose a tier
+	startQualityProbe() {
+		if (this.qualitySource !== "default") return;
+		this.measuringQuality = true;
+		this.frameMonitor.reset();
+		this.requestRender();
+	}
+
+	// A slow window of frames: drop a tier and measure the new one afresh
+	stepDownQuality() {
+		const lower = getLowerTier(this.qualityTier);
+		if (!lower) {
+			this.measuringQuality = false;
+			return;
+		}
+		this.setQuality(lower, "measured");
+		this.frameMonitor.reset();
 	}
 
 	createPanels() {
@@ -345,7 +397,7 @@ class PortfolioScene {
 			}
 
 			// Create CSS3D object from DOM element
-			const cssObject = new CSS3DObject(element);
+			const cssObject = this.createCSSObject(element);
 			cssObject.position.copy(config.position);
 			cssObject.rotation.copy(config.rotation);
 			cssObject.name = name;
@@ -355,6 +407,7 @@ class PortfolioScene {
 				name,
 				object: cssObject,
 				element,
+				manifest: config.manifest,
 			});
 
 			this.cssScene.add(cssObject);
@@ -363,53 +416,79 @@ class PortfolioScene {
 			element.style.opacity = "0";
 		});
 
-		// Create popup panel (starts hidden)
-		this.createPopupPanel();
-	}
-
-	createPopupPanel() {
-		const popupElement = document.getElementById("skill-popup");
-		if (!popupElement) return;
-
-		this.popupObject = new CSS3DObject(popupElement);
-		this.popupObject.name = "popup";
-		this.cssScene.add(this.popupObject);
+		// Create popup panels (start hidden)
+		this.createPopup("skill", "skill-popup", "skills");
+		this.createPopup("project", "project-popup", "projects");
+		this.createPopup("post", "post-popup", "posts");
 
-		// Store reference for updating position
-		this.popupElement = popupElement;
+		// Skill popup state stays available under its original name
+		this.popupState = this.popups.skill ? this.popups.skill.state : null;
+	}
 
-		// Get skills panel position and rotation for reference
-		const skillsConfig = this.panelConfig.skills;
-		this.skillsPanelPosition = skillsConfig.position.clone();
-		this.skillsPanelRotation = skillsConfig.rotation.clone();
+	// Wrap a page element for the CSS3D scene, remembering where it lived.
+	// The renderer moves it into its own DOM, so destroy() puts it back.
+	createCSSObject(element) {
+		this.elementHomes.push({
+			element,
+			parent: element.parentNode,
+			nextSibling: element.nextSibling,
+		});
+		return new CSS3DObject(element);
+	}
+
+	// Create a popup window floating in front of one of the panels
+	createPopup(name, elementId, panelId) {
+		const element = document.getElementById(elementId);
+		const panelConfig = this.panelConfig[panelId];
+		if (!element || !panelConfig) return;
+
+		const object = this.createCSSObject(element);
+		object.name = `popup-${name}`;
+		this.cssScene.add(object);
+
+		const popup = {
+			name,
+			element,
+			object,
+			// Host panel position and rotation for reference
+			panel: panelConfig.manifest,
+			panelPosition: panelConfig.position.clone(),
+			panelRotation: panelConfig.rotation.clone(),
+			state: null,
+		};
 
 		// Initialize state manager
-		this.popupState = new PopupStateManager(popupElement, {
+		popup.state = new PopupStateManager(element, {
 			transitionDuration: 150,
 			onStateChange: (newState, oldState) => {
-				console.debug(`Popup: ${oldState} -> ${newState}`);
+				console.debug(`Popup[${name}]: ${oldState} -> ${newState}`);
+				this.requestRender(popup.state.transitionDuration);
 			},
 			onPositionNeeded: (position) => {
-				this.positionPopup(position);
+				this.positionPopup(popup, position);
 			},
 		});
+
+		this.popups[name] = popup;
 	}
 
-	showPopup(position = "center") {
-		if (!this.popupState) return;
+	showPopup(position = "center", name = "skill") {
+		const popup = this.popups[name];
+		if (!popup) return;
 
 		// Gently pan camera toward the popup position
-		if (this.controls && this.controls.lookAtSkillPopup) {
-			this.controls.lookAtSkillPopup(position);
+		if (this.controls && this.controls.lookAtPopup) {
+			this.controls.lookAtPopup(position, popup.panel);
 		}
 
-		this.popupState.open(position);
+		popup.position = position;
+		popup.state.open(position);
 	}
 
-	positionPopup(position) {
-		// Get skills panel position as base
-		const skillsPos = this.skillsPanelPosition;
-		const sideAngle = Math.PI / 3;
+	positionPopup(popup, position) {
+		// Get host panel position as base
+		const panelPos = popup.panelPosition;
+		const panelAngle = popup.panelRotation.y;
 
 		// Offset based on position (in panel's local space)
 		// Local X is perpendicular to panel face, local Y is up
@@ -437,211 +516,457 @@ class PortfolioScene {
 
 		// Transform local offset to world coordinates
 		// Panel faces inward, so we rotate the offset by the panel's Y rotation
-		const cosAngle = Math.cos(sideAngle);
-		const sinAngle = Math.sin(sideAngle);
+		const cosAngle = Math.cos(panelAngle);
+		const sinAngle = Math.sin(panelAngle);
 
 		// Local X becomes world X/Z, local Z (depth) also rotates
 		const worldOffsetX = localX * cosAngle + localZ * sinAngle;
 		const worldOffsetZ = -localX * sinAngle + localZ * cosAngle;
 
-		this.popupObject.position.set(
-			skillsPos.x + worldOffsetX,
-			skillsPos.y + localY,
-			skillsPos.z + worldOffsetZ,
+		popup.object.position.set(
+			panelPos.x + worldOffsetX,
+			panelPos.y + localY,
+			panelPos.z + worldOffsetZ,
 		);
 
-		// Match skills panel rotation
-		this.popupObject.rotation.copy(this.skillsPanelRotation);
+		// Match host panel rotation
+		popup.object.rotation.copy(popup.panelRotation);
 	}
 
-	hidePopup() {
-		if (!this.popupState) return;
-		this.popupState.close();
+	hidePopup(name = "skill") {
+		const popup = this.popups[name];
+		if (!popup) return;
+		popup.state.close();
 
-		// Recenter camera on skills panel
-		if (this.controls && this.controls.lookAtLeft) {
-			this.controls.lookAtLeft();
+		// Recenter camera on the host panel
+		if (this.controls && this.controls.lookAtPanel) {
+			this.controls.lookAtPanel(popup.panel);
 		}
 	}
 
-	isPopupVisible() {
-		return this.popupState ? this.popupState.isVisible() : false;
+	isPopupVisible(name = "skill") {
+		const popup = this.popups[name];
+		return popup ? popup.state.isVisible() : false;
 	}
 
-	isPopupInteractive() {
-		return this.popupState ? this.popupState.isInteractive() : false;
+	isPopupInteractive(name = "skill") {
+		const popup = this.popups[name];
+		return popup ? popup.state.isInteractive() : false;
 	}
 
-	createControls() {
-		this.controls = new CameraControls(
+	// `Controls` is swappable so a hot-updated camera-controls.js can be used
+	createControls(Controls = CameraControls) {
+		this.controls = new Controls(
 			this.camera,
 			this.cssRenderer.domElement,
+			{
+				picker: new PanelPicker(
+					this.camera,
+					this.cssScene,
+					this.cssRenderer.domElement,
+				),
+				onChange: () => this.requestRender(),
+			},
 		);
 	}
 
-	setupEventListeners() {
-		window.addEventListener("resize", () => this.onWindowResize());
-		this.setupNavHUD();
-	}
-
-	setupNavHUD() {
-		const navHUD = document.getElementById("nav-hud");
-		if (!navHUD) return;
-
-		const buttons = navHUD.querySelectorAll(".nav-btn");
-		buttons.forEach((btn) => {
-			btn.addEventListener("click", () => {
-				const direction = btn.dataset.direction;
-				if (this.controls) {
-					switch (direction) {
-						case "front":
-							this.controls.lookAtFront();
-							break;
-						case "left":
-							this.controls.lookAtLeft();
-							break;
-						case "right":
-							this.controls.lookAtRight();
-							break;
-						case "back":
-							this.controls.lookAtBack();
-							break;
-					}
-				}
-				// Update active state
-				buttons.forEach((b) => b.classList.remove("active"));
-				btn.classList.add("active");
-			});
+	// Terminal windows hosted by the panels, any number at once
+	createWindowManager() {
+		this.windows = new WindowManager({
+			camera: this.camera,
+			domElement: this.cssRenderer.domElement,
+			getPanelObject: (panelId) =>
+				this.panels.find((panel) => panel.name === panelId)?.object,
+			getControls: () => this.controls,
+			onChange: (duration) => this.requestRender(duration),
 		});
 	}
 
+	setupEventListeners() {
+		window.addEventListener("resize", this.onWindowResize);
+		document.addEventListener("themechange", this.onThemeChange);
+		document.addEventListener("visibilitychange", this.onVisibilityChange);
+	}
+
+	onThemeChange(event) {
+		this.applyTheme(event.detail.theme);
+	}
+
+	// Nothing to draw for a background tab; catch up once it is shown
+	onVisibilityChange() {
+		if (document.hidden) {
+			this.cancelFrame();
+		} else {
+			this.requestRender();
+		}
+	}
+
 	onWindowResize() {
 		this.camera.aspect = window.innerWidth / window.innerHeight;
 		this.camera.updateProjectionMatrix();
 
 		this.webglRenderer.setSize(window.innerWidth, window.innerHeight);
 		this.cssRenderer.setSize(window.innerWidth, window.innerHeight);
+		this.windows.onResize();
+		this.requestRender();
 	}
 
-	async playEntryAnimation() {
+	// Boot sequence, then the panels fade in one by one. Return visits play
+	// the shorter script; any key or tap skips straight to the end.
+	async playEntryAnimation({ returning = hasVisitedBefore() } = {}) {
+		// The boot sequence doubles as a benchmark for the quality tier
+		this.startQualityProbe();
+
 		// Boot sequence text
 		const bootOverlay = document.getElementById("boot-overlay");
-		if (bootOverlay) {
-			await this.typeBootSequence(bootOverlay);
+		const bootText = bootOverlay?.querySelector(".boot-text");
+		const script = getBootScript({ returning });
+		this.boot = new BootSequence(bootText, script, {
+			sleep: (ms) => this.sleep(ms),
+		});
+		this.boot.start();
+		events.emit("boot:start", { returning });
+
+		if (bootText) {
+			await this.boot.play();
 		}
 
-		// Reveal panels sequentially
-		const panelOrder = ["hero", "skills", "projects", "stats"];
-		for (const panelName of panelOrder) {
-			const panel = this.panels.find((p) => p.name === panelName);
-			if (panel) {
-				await this.revealPanel(panel, 300);
-			}
+		// Reveal panels sequentially, all at once if skipped
+		for (const panel of this.panels) {
+			await this.revealPanel(panel, this.boot.skipped ? 0 : script.revealDuration);
 		}
+		this.boot.stop();
+		this.boot = null;
 
-		// Hide boot overlay
+		// Hide boot overlay (unless a reboot brought it back meanwhile)
 		if (bootOverlay) {
 			bootOverlay.style.opacity = "0";
-			setTimeout(() => (bootOverlay.style.display = "none"), 500);
+			this.setTimer(() => {
+				if (this.entryComplete) bootOverlay.style.display = "none";
+			}, 500);
 		}
 
-		// Enable controls
-		if (this.controls) {
+		// Enable controls (unless reading mode took over meanwhile)
+		this.measuringQuality = false;
+		this.entryComplete = true;
+		rememberVisit();
+		if (this.controls && !this.paused) {
 			this.controls.enabled = true;
 		}
+		// A deep link may have set a target while the controls were off
+		this.requestRender();
+		events.emit("boot:complete");
 	}
 
-	async typeBootSequence(overlay) {
-		const lines = [
-			"> Initializing portfolio.exe...",
-			"> Loading assets... [████████████] 100%",
-			"> Jumping into Star Fissure...",
-		];
+	async revealPanel(panel, duration) {
+		panel.element.style.transition = `opacity ${duration}ms ease`;
+		panel.element.style.opacity = "1";
+		await this.boot.wait(duration);
+	}
 
-		const textElement = overlay.querySelector(".boot-text");
-		if (!textElement) return;
+	// Play the full boot sequence again (the `reboot` command).
+	// Returns false while booting or in reading mode.
+	reboot() {
+		if (!this.entryComplete || this.paused) return false;
 
-		for (const line of lines) {
-			for (const char of line) {
-				textElement.textContent += char;
-				await this.sleep(20);
-			}
-			textElement.textContent += "\n";
-			await this.sleep(300);
+		this.entryComplete = false;
+		this.controls.enabled = false;
+		this.closeAllPopups();
+		this.windows.closeAll();
+
+		const bootOverlay = document.getElementById("boot-overlay");
+		if (bootOverlay) {
+			bootOverlay.style.display = "";
+			bootOverlay.style.opacity = "1";
 		}
+		this.panels.forEach((panel) => {
+			panel.element.style.transition = "none";
+			panel.element.style.opacity = "0";
+		});
+		this.requestRender();
 
-		await this.sleep(500);
+		this.entryAnimation = this.playEntryAnimation({ returning: false });
+		return true;
 	}
 
-	async revealPanel(panel, duration) {
-		return new Promise((resolve) => {
-			panel.element.style.transition = `opacity ${duration}ms ease`;
-			panel.element.style.opacity = "1";
-			setTimeout(resolve, duration);
-		});
+	// setTimeout that destroy() cancels; a destroyed scene's sleeps never resolve,
+	// so an interrupted boot sequence simply stops
+	setTimer(callback, ms) {
+		const timer = setTimeout(() => {
+			this.timers.delete(timer);
+			callback();
+		}, ms);
+		this.timers.add(timer);
+		return timer;
 	}
 
 	sleep(ms) {
-		return new Promise((resolve) => setTimeout(resolve, ms));
+		return new Promise((resolve) => this.setTimer(resolve, ms));
+	}
+
+	// Mark the scene dirty and make sure a frame is coming. `duration` keeps
+	// frames coming that long, for changes the controls can't see (popup fades)
+	requestRender(duration = 0) {
+		this.needsRender = true;
+		this.renderUntil = Math.max(this.renderUntil, performance.now() + duration);
+		this.scheduleFrame();
 	}
 
+	scheduleFrame() {
+		if (this.paused || document.hidden || this.animationFrame !== null) return;
+		this.animationFrame = requestAnimationFrame(() => this.animate());
+	}
+
+	cancelFrame() {
+		if (this.animationFrame !== null) {
+			cancelAnimationFrame(this.animationFrame);
+			this.animationFrame = null;
+		}
+	}
+
+	// One frame; keeps the loop going only while something is still moving
 	animate() {
-		requestAnimationFrame(() => this.animate());
+		this.animationFrame = null;
+		if (this.paused) return;
+
+		const now = performance.now();
+		const moving = this.controls ? this.controls.update() : false;
+		const transitioning = now < this.renderUntil;
+		if (!moving && !transitioning && !this.needsRender && !this.measuringQuality) {
+			return; // idle until the next request
+		}
+		this.needsRender = false;
 
-		// Update controls
-		if (this.controls) {
-			this.controls.update();
+		if (this.measuringQuality && this.frameMonitor.sample(now)) {
+			this.stepDownQuality();
 		}
 
+		this.updateFocusedPanel();
+
 		// Render both scenes
 		this.webglRenderer.render(this.scene, this.camera);
 		this.cssRenderer.render(this.cssScene, this.camera);
+
+		this.scheduleFrame();
 	}
 
-	// Public method to get current focused panel based on camera direction
-	getFocusedPanel() {
-		const direction = new THREE.Vector3();
-		this.camera.getWorldDirection(direction);
+	// Stop rendering and input while the page is in 2D reading mode
+	pause() {
+		if (this.paused) return;
+		this.paused = true;
+		this.cancelFrame();
+
+		if (this.controls) {
+			this.controls.enabled = false;
+		}
+		this.closeAllPopups();
+	}
+
+	resume() {
+		if (!this.paused || this.destroyed) return;
+		this.paused = false;
+
+		// Popups opened in the document layout have no 3D state to carry over
+		this.closeAllPopups();
 
-		let closestPanel = null;
-		let closestAngle = Infinity;
+		// The HUD followed the document meanwhile; announce the 3D view afresh
+		this.focusedPanel = null;
+
+		if (this.controls) {
+			this.controls.enabled = this.entryComplete;
+		}
 
+		// The window may have been resized while nothing was listening to render
+		this.onWindowResize();
+	}
+
+	closeAllPopups() {
+		Object.values(this.popups).forEach((popup) => popup.state.forceClose());
+	}
+
+	// ═══ LIFECYCLE ═══
+
+	// What a replacement scene needs to carry on seamlessly (see portfolio.js)
+	getSnapshot() {
+		const openPopups = Object.values(this.popups).filter((popup) =>
+			popup.state.isVisible(),
+		);
+		return {
+			controls: this.controls.getState(),
+			popups: Object.fromEntries(
+				openPopups.map((popup) => [popup.name, popup.position]),
+			),
+			quality: this.getQuality(),
+			booted: this.entryComplete,
+		};
+	}
+
+	// Jump straight to the state of the scene this one replaced: no boot
+	// overlay, panels already shown, popups reopened where they were
+	async restoreSnapshot({ controls, popups, booted }) {
+		const bootOverlay = document.getElementById("boot-overlay");
+		if (bootOverlay) {
+			bootOverlay.style.opacity = "0";
+			bootOverlay.style.display = "none";
+		}
 		this.panels.forEach((panel) => {
-			const toPanel = panel.object.position.clone().normalize();
-			const angle = direction.angleTo(toPanel);
+			panel.element.style.opacity = "1";
+		});
 
-			if (angle < closestAngle && angle < Math.PI / 3) {
-				// Within 60 degrees
-				closestAngle = angle;
-				closestPanel = panel;
-			}
+		this.controls.setState(controls);
+		Object.entries(popups).forEach(([name, position]) => {
+			const popup = this.popups[name];
+			if (!popup) return;
+			popup.position = position;
+			popup.state.open(position);
 		});
 
-		return closestPanel;
+		this.entryComplete = true;
+		this.controls.enabled = !this.paused;
+		this.requestRender();
+		// Only a swap that cut the boot short finishes it; replaying boot:complete
+		// after a finished boot would retype the hero tagline on every update
+		if (!booted) {
+			events.emit("boot:complete");
+		}
 	}
-}
 
-// Initialize when DOM is ready
-let portfolioScene = null;
+	// Swap in a new CameraControls class (hot reload), keeping the view
+	replaceControls(Controls) {
+		const state = this.controls.getState();
+		const enabled = this.controls.enabled;
+
+		this.controls.destroy();
+		this.createControls(Controls);
+		this.controls.setState(state);
+		this.controls.enabled = enabled;
+		this.requestRender();
+	}
+
+	// Release everything the scene holds so a new one can be created in its
+	// place: listeners, timers, the render loop, GPU resources and the
+	// renderers' DOM. Panel elements go back where the page had them.
+	destroy() {
+		if (this.destroyed) return;
+		this.destroyed = true;
+		liveScenes.delete(this);
+		this.paused = true;
+		this.measuringQuality = false;
+		this.cancelFrame();
+
+		window.removeEventListener("resize", this.onWindowResize);
+		document.removeEventListener("themechange", this.onThemeChange);
+		document.removeEventListener("visibilitychange", this.onVisibilityChange);
+
+		this.timers.forEach((timer) => clearTimeout(timer));
+		this.timers.clear();
+		this.boot?.stop();
+		this.boot = null;
+
+		this.closeAllPopups();
+		this.windows.destroy();
+		this.windows = null;
+		this.controls.destroy();
+		this.controls = null;
+
+		this.restoreElements();
+		this.disposeScene();
+
+		this.webglRenderer.dispose();
+		this.webglRenderer.forceContextLoss();
+		this.webglRenderer.domElement.remove();
+		this.cssRenderer.domElement.remove();
+		document.body.classList.remove("no-scanlines");
+
+		this.panels = [];
+		this.popups = {};
+		this.popupState = null;
+		this.panelLights = [];
+	}
+
+	// Undo what CSS3DObject, the renderer and the entry animation did to each element.
+	// Removing the objects from cssScene would delete the elements, so they stay put.
+	restoreElements() {
+		const rendererRoot = this.cssRenderer.domElement;
+		[...this.elementHomes].reverse().forEach(({ element, parent, nextSibling }) => {
+			[
+				"position",
+				"pointer-events",
+				"user-select",
+				"transform",
+				"display",
+				"opacity",
+				"transition",
+			].forEach((property) => element.style.removeProperty(property));
+
+			// Reading mode already moved it into the document layout
+			if (!rendererRoot.contains(element)) return;
+
+			if (nextSibling && nextSibling.parentNode === parent) {
+				parent.insertBefore(element, nextSibling);
+			} else {
+				parent.appendChild(element);
+			}
+		});
+		this.elementHomes = [];
+	}
+
+	// Free the GPU side of every geometry and material in the WebGL scene
+	disposeScene() {
+		this.scene.traverse((object) => {
+			if (object.geometry) {
+				object.geometry.dispose();
+			}
+			if (object.material) {
+				[].concat(object.material).forEach((material) => material.dispose());
+			}
+		});
+		this.scene.clear();
+	}
 
-function initPortfolio() {
-	// Check for WebGL support
-	if (!window.WebGLRenderingContext) {
-		console.warn("WebGL not supported, falling back to 2D");
-		document.body.classList.add("fallback-2d");
-		return;
+	// Manifest entry of the panel the camera is facing, or null before the first frame
+	getFocusedPanel() {
+		return this.focusedPanel;
 	}
 
-	portfolioScene = new PortfolioScene();
-	window.portfolioScene = portfolioScene; // Expose for debugging
+	// Follow the look direction however the camera moves (nav, keys, drag,
+	// gyroscope) and emit panel:active when the focused panel changes
+	updateFocusedPanel() {
+		const direction = this.camera.getWorldDirection(this.lookDirection);
+		const angleTo = (panel) => direction.angleTo(panel.object.position.clone().normalize());
+
+		let nearest = null;
+		let nearestAngle = Infinity;
+		this.panels.forEach((panel) => {
+			const angle = angleTo(panel);
+			if (angle < nearestAngle) {
+				nearestAngle = angle;
+				nearest = panel;
+			}
+		});
+
+		// Looking at a bare wall keeps the last panel focused
+		if (!nearest || nearestAngle > FOCUS_MAX_ANGLE) return;
+		if (nearest.manifest === this.focusedPanel) return;
+
+		const focused = this.panels.find((panel) => panel.manifest === this.focusedPanel);
+		if (focused && angleTo(focused) - nearestAngle < FOCUS_HYSTERESIS) return;
+
+		this.focusedPanel = nearest.manifest;
+		events.emit("panel:active", { panel: nearest.manifest });
+	}
 }
 
-// Export for module use
-export { PortfolioScene, initPortfolio };
+// Live scenes, so an edited camera-controls.js can be swapped into each
+const liveScenes = new Set();
 
-// Auto-init if loaded directly
-if (document.readyState === "loading") {
-	document.addEventListener("DOMContentLoaded", initPortfolio);
-} else {
-	initPortfolio();
+// Dev server: rebuild only the controls when camera-controls.js changes.
+// Edits to this file are accepted by portfolio.js, which rebuilds the scene.
+if (import.meta.hot) {
+	import.meta.hot.accept("./camera-controls.js", (module) => {
+		if (!module) return;
+		liveScenes.forEach((scene) => scene.replaceControls(module.CameraControls));
+	});
 }
+
+export { PortfolioScene };
@@ -0,0 +1,139 @@
+/* ═══════════════════════════════════════════════════════════════
+   GUIDED TOUR
+   Plays a list of steps on a timer, each with a terminal-style
+   caption. Any pointer, wheel or key input pauses it; starting
+   it again resumes from the step after the one interrupted.
+   ═══════════════════════════════════════════════════════════════ */
+
+const PAUSE_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+export class GuidedTour {
+    static STATES = {
+        IDLE: 'idle',
+        PLAYING: 'playing',
+        PAUSED: 'paused',
+    };
+
+    /**
+     * steps: [{ command, detail, duration?, run() }]
+     *   command - shown after a `$` prompt, like addTerminalFeedback
+     *   detail  - second caption line
+     *   run     - moves the view; called when the step starts
+     * onStateChange(state) fires on start, pause, resume and stop.
+     */
+    constructor(steps, { stepDuration = 3500, onStateChange = () => {} } = {}) {
+        this.steps = steps;
+        this.stepDuration = stepDuration;
+        this.onStateChange = onStateChange;
+
+        this.state = GuidedTour.STATES.IDLE;
+        this.index = -1;
+        this.timer = null;
+        this.caption = null;
+
+        this.handleInput = (event) => {
+            // The tour's own controls start/stop it themselves
+            if (event.target.closest?.('[data-tour-control]')) return;
+            this.pause();
+        };
+    }
+
+    get isPlaying() {
+        return this.state === GuidedTour.STATES.PLAYING;
+    }
+
+    start() {
+        this.index = -1;
+        this.play();
+    }
+
+    // Continue a paused tour from the next step, or start from the top
+    resume() {
+        if (this.state === GuidedTour.STATES.PAUSED) {
+            this.play();
+        } else if (this.state === GuidedTour.STATES.IDLE) {
+            this.start();
+        }
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        this.clearTimer();
+        this.removeInputListeners();
+        this.setState(GuidedTour.STATES.PAUSED);
+        this.showCaption('tour paused', 'run `tour` or press the tour button to continue');
+    }
+
+    stop() {
+        if (this.state === GuidedTour.STATES.IDLE) return;
+        this.clearTimer();
+        this.removeInputListeners();
+        this.hideCaption();
+        this.index = -1;
+        this.setState(GuidedTour.STATES.IDLE);
+    }
+
+    // ═══ INTERNALS ═══
+
+    play() {
+        PAUSE_EVENTS.forEach((type) => {
+            window.addEventListener(type, this.handleInput, { capture: true, passive: true });
+        });
+        this.setState(GuidedTour.STATES.PLAYING);
+        this.next();
+    }
+
+    next() {
+        this.index++;
+        const step = this.steps[this.index];
+        if (!step) {
+            this.stop();
+            return;
+        }
+
+        step.run();
+        this.showCaption(step.command, step.detail);
+        this.timer = setTimeout(() => this.next(), step.duration ?? this.stepDuration);
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    removeInputListeners() {
+        PAUSE_EVENTS.forEach((type) => {
+            window.removeEventListener(type, this.handleInput, { capture: true });
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onStateChange(state);
+    }
+
+    // Persistent caption in the same style as addTerminalFeedback
+    showCaption(command, detail = '') {
+        if (!this.caption) {
+            this.caption = document.createElement('div');
+            this.caption.className = 'terminal-feedback tour-caption';
+            this.caption.setAttribute('role', 'status');
+            this.caption.innerHTML = '<div><span class="prompt">$</span> <span class="tour-command"></span></div><div class="tour-detail comment"></div>';
+            document.body.appendChild(this.caption);
+        }
+
+        this.caption.querySelector('.tour-command').textContent = command;
+        this.caption.querySelector('.tour-detail').textContent = detail ? `# ${detail}` : '';
+        requestAnimationFrame(() => this.caption?.classList.add('visible'));
+    }
+
+    hideCaption() {
+        const caption = this.caption;
+        if (!caption) return;
+        this.caption = null;
+        caption.classList.remove('visible');
+        setTimeout(() => caption.remove(), 300);
+    }
+}
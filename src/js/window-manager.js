@@ -0,0 +1,529 @@
+/* ═══════════════════════════════════════════════════════════════
+   WINDOW MANAGER
+   Terminal windows floating in front of the panels, any number
+   at once. Each window is a CSS3D child of its host panel, so it
+   turns with it and drags along the panel's plane. The window
+   controls close (red), minimize to the dock (yellow) and
+   maximize to fill the view (green); ] and [ cycle focus.
+   ═══════════════════════════════════════════════════════════════ */
+
+import * as THREE from 'three';
+import { CSS3DObject } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
+import { PopupStateManager } from './popup-state.js';
+
+// Windows float this far in front of their panel (the popups sit at 50)...
+const WINDOW_DEPTH = 60;
+// ...and each step up the stack a little nearer, so CSS3D draws it on top
+const STACK_STEP = 4;
+
+// New windows on the same panel cascade down and to the right
+const CASCADE_STEP = 32;
+const CASCADE_LIMIT = 6;
+
+// Share of the view a maximized window covers
+const MAXIMIZED_FILL = 0.9;
+
+const TRANSITION_DURATION = 150;
+
+// CSS3D panels face +Z in their local space
+const PANEL_NORMAL = new THREE.Vector3(0, 0, 1);
+
+export class WindowManager {
+    /**
+     * options:
+     *   camera, domElement      - to project drags onto the panel plane
+     *   getPanelObject(panelId) - the panel's CSS3DObject, which hosts its windows
+     *   getControls()           - the current CameraControls (swapped on hot reload)
+     *   onChange(duration)      - something needs drawing, for `duration` ms
+     */
+    constructor({ camera, domElement, getPanelObject, getControls, onChange = () => {} }) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.getPanelObject = getPanelObject;
+        this.getControls = getControls;
+        this.onChange = onChange;
+
+        // key -> window, in the order they were opened (the focus cycle order)
+        this.windows = new Map();
+        // Keys from bottom to top of the stack
+        this.stack = [];
+        this.focusedKey = null;
+        this.nextNumber = 1;
+
+        this.dock = null;
+        this.drag = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.plane = new THREE.Plane();
+        this.normal = new THREE.Vector3();
+        this.hitPoint = new THREE.Vector3();
+        this.worldPosition = new THREE.Vector3();
+        this.worldQuaternion = new THREE.Quaternion();
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+    }
+
+    /**
+     * Open a window in front of `panel` (a manifest entry) and focus it.
+     * `content` is an HTML string or a Node. Opening a `key` that is already
+     * open updates that window and brings it back instead.
+     * @returns {string|null} the window's key, or null without a host panel
+     */
+    open({ key = null, panel, title, content = '' }) {
+        const existing = key !== null && this.windows.get(key);
+        if (existing) {
+            setTitle(existing, title);
+            setContent(existing, content);
+            this.show(existing);
+            this.focus(existing.key, { lookAt: true });
+            return existing.key;
+        }
+
+        const panelObject = this.getPanelObject(panel.id);
+        if (!panelObject) return null;
+
+        const number = this.nextNumber++;
+        const win = {
+            key: key ?? `window-${number}`,
+            panel,
+            element: createWindowElement(`terminal-window-${number}`),
+            object: null,
+            state: null,
+            minimized: false,
+            maximized: null, // { x, y, width, height } to go back to
+            dockButton: null,
+        };
+        setTitle(win, title);
+        setContent(win, content);
+
+        // Cascade from the panel's middle, so new windows don't hide the last one
+        const cascade = this.getWindowsOn(panel).length % CASCADE_LIMIT;
+        win.object = new CSS3DObject(win.element);
+        win.object.name = win.key;
+        win.object.position.set(cascade * CASCADE_STEP, -cascade * CASCADE_STEP, WINDOW_DEPTH);
+        panelObject.add(win.object);
+
+        win.state = new PopupStateManager(win.element, {
+            transitionDuration: TRANSITION_DURATION,
+            onStateChange: () => this.onChange(TRANSITION_DURATION),
+        });
+
+        win.element.addEventListener('click', (event) => this.onWindowClick(win, event));
+        win.element.addEventListener('focusin', () => this.raise(win));
+        win.element.querySelector('.window-titlebar')
+            .addEventListener('pointerdown', (event) => this.startDrag(win, event));
+
+        this.windows.set(win.key, win);
+        this.stack.push(win.key);
+        win.state.open();
+        this.focus(win.key, { lookAt: true });
+        return win.key;
+    }
+
+    // Fade a window out and drop it; focus moves to the next one down the stack
+    close(key) {
+        const win = this.windows.get(key);
+        if (!win) return false;
+
+        if (this.drag?.win === win) this.endDrag();
+        this.removeFromDock(win);
+        this.stack = this.stack.filter((stacked) => stacked !== key);
+        this.windows.delete(key);
+
+        const hadFocus = win.element.contains(document.activeElement);
+        if (this.focusedKey === key) {
+            this.focusedKey = null;
+            this.focusTop({ moveFocus: hadFocus });
+        }
+
+        win.state.close().then((closed) => {
+            if (closed) win.object.removeFromParent();
+        });
+        return true;
+    }
+
+    closeAll() {
+        [...this.windows.keys()].forEach((key) => this.close(key));
+    }
+
+    // Hide a window behind a button in the dock
+    minimize(key) {
+        const win = this.windows.get(key);
+        if (!win || win.minimized) return false;
+
+        if (this.drag?.win === win) this.endDrag();
+        const hadFocus = win.element.contains(document.activeElement);
+        win.minimized = true;
+        win.state.close();
+        this.addToDock(win);
+
+        if (this.focusedKey === key) {
+            this.focusedKey = null;
+            this.focusTop({ moveFocus: hadFocus });
+        }
+        return true;
+    }
+
+    // Bring a minimized window back from the dock
+    restore(key) {
+        const win = this.windows.get(key);
+        if (!win) return false;
+
+        this.show(win);
+        this.focus(key, { lookAt: true });
+        return true;
+    }
+
+    // Fill the view with a window, or put it back where it was
+    toggleMaximize(key) {
+        const win = this.windows.get(key);
+        if (!win) return false;
+
+        if (win.maximized) {
+            const { x, y, width, height } = win.maximized;
+            win.maximized = null;
+            win.object.position.x = x;
+            win.object.position.y = y;
+            win.element.style.width = width;
+            win.element.style.height = height;
+            win.element.classList.remove('maximized');
+            this.focus(key, { lookAt: true });
+            return true;
+        }
+
+        win.maximized = {
+            x: win.object.position.x,
+            y: win.object.position.y,
+            width: win.element.style.width,
+            height: win.element.style.height,
+        };
+        win.object.position.x = 0;
+        win.object.position.y = 0;
+        win.element.classList.add('maximized');
+        this.raise(win);
+
+        // Face the panel head on at the normal zoom, then size the window to match
+        const controls = this.getControls();
+        if (controls) {
+            controls.targetFov = controls.baseFov;
+            controls.lookAtPanel(win.panel);
+        }
+        this.fitToView(win);
+        this.focus(key);
+        return true;
+    }
+
+    /**
+     * Raise a window, give it keyboard focus and optionally turn the camera to it.
+     * options.lookAt - face the window
+     */
+    focus(key, { lookAt = false } = {}) {
+        const win = this.windows.get(key);
+        if (!win || win.minimized) return false;
+
+        this.raise(win);
+        if (!win.element.contains(document.activeElement)) {
+            focusElement(win.element);
+        }
+        if (lookAt) {
+            this.lookAtWindow(win);
+        }
+        return true;
+    }
+
+    // Focus the next (or with step -1, the previous) window in opening order,
+    // skipping minimized ones. Returns its key, or null with none open.
+    focusNext(step = 1) {
+        const open = [...this.windows.values()].filter((win) => !win.minimized);
+        if (open.length === 0) return null;
+
+        const index = open.findIndex((win) => win.key === this.focusedKey);
+        const next = index === -1
+            ? open[step > 0 ? 0 : open.length - 1]
+            : open[(index + step + open.length) % open.length];
+        this.focus(next.key, { lookAt: true });
+        return next.key;
+    }
+
+    // Key of the window holding keyboard focus, if any
+    getFocusedWindow() {
+        const element = document.activeElement?.closest?.('.terminal-window');
+        const win = element && [...this.windows.values()].find((entry) => entry.element === element);
+        return win ? win.key : null;
+    }
+
+    // The viewport changed size: maximized windows follow it
+    onResize() {
+        this.windows.forEach((win) => {
+            if (win.maximized) this.fitToView(win);
+        });
+    }
+
+    destroy() {
+        this.endDrag();
+        this.windows.forEach((win) => {
+            win.state.forceClose();
+            win.object.removeFromParent();
+        });
+        this.windows.clear();
+        this.stack = [];
+        this.focusedKey = null;
+
+        if (this.dock) {
+            this.dock.remove();
+            this.dock = null;
+        }
+    }
+
+    // ═══ STACKING ═══
+
+    getWindowsOn(panel) {
+        return [...this.windows.values()].filter((win) => win.panel === panel);
+    }
+
+    // Move a window to the top of the stack and mark it focused
+    raise(win) {
+        this.stack = this.stack.filter((key) => key !== win.key);
+        this.stack.push(win.key);
+        this.stack.forEach((key, index) => {
+            this.windows.get(key).object.position.z = WINDOW_DEPTH + index * STACK_STEP;
+        });
+
+        this.focusedKey = win.key;
+        this.windows.forEach((entry) => {
+            entry.element.classList.toggle('focused', entry === win);
+        });
+        this.onChange();
+    }
+
+    // Focus the highest window still showing, after the focused one went away
+    focusTop({ moveFocus = false } = {}) {
+        const key = [...this.stack].reverse().find((stacked) => !this.windows.get(stacked).minimized);
+        if (!key) return;
+
+        const win = this.windows.get(key);
+        this.raise(win);
+        if (moveFocus) {
+            focusElement(win.element);
+        }
+    }
+
+    show(win) {
+        if (win.minimized) {
+            win.minimized = false;
+            this.removeFromDock(win);
+        }
+        win.state.open();
+    }
+
+    // ═══ CAMERA ═══
+
+    lookAtWindow(win) {
+        const controls = this.getControls();
+        if (!controls) return;
+
+        if (win.maximized) {
+            controls.lookAtPanel(win.panel);
+            return;
+        }
+
+        // Inverse of the controls' look vector (sinφ·sinθ, cosφ, −sinφ·cosθ)
+        const { x, y, z } = win.object.getWorldPosition(this.worldPosition);
+        const theta = Math.atan2(x, -z);
+        const phi = Math.acos(y / this.worldPosition.length());
+        controls.lookAt(controls.nearestTheta(theta), phi);
+    }
+
+    // Size a maximized window to the view at the controls' resting zoom
+    fitToView(win) {
+        const controls = this.getControls();
+        const fov = controls ? controls.baseFov : this.camera.fov;
+        const distance = win.object.getWorldPosition(this.worldPosition).distanceTo(this.camera.position);
+
+        const height = 2 * distance * Math.tan(THREE.MathUtils.degToRad(fov) / 2) * MAXIMIZED_FILL;
+        win.element.style.width = `${Math.round(height * this.camera.aspect)}px`;
+        win.element.style.height = `${Math.round(height)}px`;
+        this.onChange();
+    }
+
+    // ═══ WINDOW CONTROLS & DOCK ═══
+
+    onWindowClick(win, event) {
+        const action = event.target.closest('[data-window-action]')?.dataset.windowAction;
+        switch (action) {
+            case 'close':
+                this.close(win.key);
+                break;
+            case 'minimize':
+                this.minimize(win.key);
+                break;
+            case 'maximize':
+                this.toggleMaximize(win.key);
+                break;
+            default:
+                this.raise(win);
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    addToDock(win) {
+        if (!this.dock) {
+            this.dock = document.createElement('nav');
+            this.dock.className = 'window-dock';
+            this.dock.setAttribute('aria-label', 'Minimized windows');
+            document.body.appendChild(this.dock);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'window-dock-item';
+        button.textContent = win.element.querySelector('.panel-title').textContent;
+        button.title = `Restore ${button.textContent}`;
+        button.addEventListener('click', () => this.restore(win.key));
+
+        win.dockButton = button;
+        this.dock.appendChild(button);
+        this.dock.hidden = false;
+    }
+
+    removeFromDock(win) {
+        if (!win.dockButton) return;
+        win.dockButton.remove();
+        win.dockButton = null;
+        if (this.dock && !this.dock.children.length) {
+            this.dock.hidden = true;
+        }
+    }
+
+    // ═══ DRAGGING ═══
+
+    // Drag by the title bar; the window slides along its panel's plane
+    startDrag(win, event) {
+        if (event.button !== 0 || win.maximized || !win.state.isInteractive()) return;
+        if (event.target.closest('[data-window-action]')) return;
+
+        const local = this.projectOntoPanel(win, event.clientX, event.clientY);
+        if (!local) return;
+
+        this.endDrag();
+        this.raise(win);
+        this.drag = {
+            win,
+            pointerId: event.pointerId,
+            grabX: local.x - win.object.position.x,
+            grabY: local.y - win.object.position.y,
+        };
+
+        win.element.setPointerCapture(event.pointerId);
+        win.element.addEventListener('pointermove', this.onPointerMove);
+        win.element.addEventListener('pointerup', this.onPointerUp);
+        win.element.addEventListener('pointercancel', this.onPointerUp);
+        win.element.classList.add('dragging');
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        const { drag } = this;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        const local = this.projectOntoPanel(drag.win, event.clientX, event.clientY);
+        if (!local) return;
+
+        // Keep the window's middle over its panel so it can't be lost off the edge
+        const host = drag.win.object.parent.element;
+        const halfWidth = host.offsetWidth / 2;
+        const halfHeight = host.offsetHeight / 2;
+        drag.win.object.position.x = THREE.MathUtils.clamp(local.x - drag.grabX, -halfWidth, halfWidth);
+        drag.win.object.position.y = THREE.MathUtils.clamp(local.y - drag.grabY, -halfHeight, halfHeight);
+        this.onChange();
+    }
+
+    onPointerUp(event) {
+        if (this.drag && event.pointerId === this.drag.pointerId) {
+            this.endDrag();
+        }
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+        const { win, pointerId } = this.drag;
+        this.drag = null;
+
+        if (win.element.hasPointerCapture(pointerId)) {
+            win.element.releasePointerCapture(pointerId);
+        }
+        win.element.removeEventListener('pointermove', this.onPointerMove);
+        win.element.removeEventListener('pointerup', this.onPointerUp);
+        win.element.removeEventListener('pointercancel', this.onPointerUp);
+        win.element.classList.remove('dragging');
+    }
+
+    // Where a screen point falls on the plane of a window, in its panel's local space
+    projectOntoPanel(win, clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const panelObject = win.object.parent;
+        this.normal.copy(PANEL_NORMAL).applyQuaternion(panelObject.getWorldQuaternion(this.worldQuaternion));
+        this.plane.setFromNormalAndCoplanarPoint(this.normal, win.object.getWorldPosition(this.worldPosition));
+        if (!this.raycaster.ray.intersectPlane(this.plane, this.hitPoint)) return null;
+
+        return panelObject.worldToLocal(this.hitPoint);
+    }
+}
+
+// Same chrome as the skill popup, with all three window controls live
+function createWindowElement(id) {
+    const element = document.createElement('div');
+    element.id = id;
+    element.className = 'skill-popup-3d terminal-window';
+    element.setAttribute('role', 'region');
+    element.setAttribute('aria-labelledby', `${id}-title`);
+    element.tabIndex = -1;
+    element.innerHTML = `
+        <div class="panel-header window-titlebar">
+            <div class="window-controls">
+                <button type="button" class="dot red" data-window-action="close" aria-label="close"></button>
+                <button type="button" class="dot yellow" data-window-action="minimize" aria-label="minimize"></button>
+                <button type="button" class="dot green" data-window-action="maximize" aria-label="maximize"></button>
+            </div>
+            <div class="panel-title" id="${id}-title"></div>
+        </div>
+        <div class="panel-content window-body"></div>
+    `;
+    return element;
+}
+
+// The renderer only adds a new window to the page on its next frame
+function focusElement(element) {
+    if (element.isConnected) {
+        element.focus({ preventScroll: true });
+    } else {
+        requestAnimationFrame(() => element.focus({ preventScroll: true }));
+    }
+}
+
+function setTitle(win, title) {
+    win.element.querySelector('.panel-title').textContent = title;
+    if (win.dockButton) {
+        win.dockButton.textContent = title;
+    }
+}
+
+function setContent(win, content) {
+    const body = win.element.querySelector('.window-body');
+    if (typeof content === 'string') {
+        body.innerHTML = content;
+    } else {
+        body.replaceChildren(content);
+    }
+    body.scrollTop = 0;
+}
@@ -1,4 +1,8 @@
 // Main entry point for Vite
 import './styles/main.css'
 import './script.js'
-import './js/three-setup.js'
+import './js/portfolio.js'
+import { initTheme } from './js/theme.js'
+
+// Swap in the saved Catppuccin flavour before first paint
+initTheme()
@@ -3,42 +3,114 @@
    Now integrated with 3D scene
    ═══════════════════════════════════════════════════════════════ */
 
+import { events } from './js/events.js';
+import { TerminalShell } from './js/shell.js';
+import { registerBuiltins } from './js/shell-commands.js';
+import { getPanel, getPanelsByAngle, PANELS } from './js/panels.js';
+import { formatRoute, HashRouter, parseRoute } from './js/router.js';
+import {
+    getProject,
+    PROJECTS,
+    renderProjectDetail,
+    renderProjectList,
+    sortProjects,
+} from './js/projects.js';
+import { getSkill, renderSkillDetail, renderSkillGrid, SKILLS } from './js/skills.js';
+import { renderNeofetchStats } from './js/stats.js';
+import { Pager } from './js/pager.js';
+import { getPost, renderPostDetail, renderPostList } from './js/posts.js';
+import { getActiveScene } from './js/portfolio.js';
+import { GuidedTour } from './js/tour.js';
+
+// Keeps the URL hash in sync with the focused panel and open file
+let router = null;
+
+// Autoplay walkthrough of every panel (see initTour)
+let tour = null;
+
+// less-style keys for the post popup (see initPosts)
+let postPager = null;
+
+// Element to hand focus back to when each popup closes, keyed by popup name
+const popupReturnFocus = {};
+
+// Page title for the home panel; other panels prefix their label
+const BASE_TITLE = document.title;
+
+// Quiet time before the live region reads out the panel in view
+const ANNOUNCE_DELAY = 500;
+
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize features that work in both 2D and 3D modes
+    initProjects();
+    initPosts();
+    initNeofetch();
     initTypingEffect();
     initGlitchOnHover();
     initTerminalEffects();
     initNavHUD();
+    initPanelTracking();
     initSkillButtons();
+    initShell();
+    initRouter();
+    initFocusNavigation();
+    initTour();
 
     // Note: Gyroscope controls are now handled by camera-controls.js for 3D
     // Scroll animations removed - not needed in 3D mode
     // Responsive ASCII now handled by CSS container queries
 });
 
+/* ═══ Neofetch ═══ */
+
+// Repository stats from the build-time snapshot; the joke lines stay without one
+function initNeofetch() {
+    renderNeofetchStats(document.querySelector('.neofetch-info'));
+}
+
 /* ═══ Typing Effect ═══ */
-function initTypingEffect() {
-    const typingElements = document.querySelectorAll('.typing');
 
-    typingElements.forEach(el => {
-        const text = el.textContent;
-        el.textContent = '';
-        el.style.opacity = '1';
+// Type the tagline once the boot sequence hands over (straight away without a
+// 3D scene); a reboot clears it to type again when the new boot ends
+function initTypingEffect() {
+    const typingElements = [...document.querySelectorAll('.typing')].map((el) => ({
+        el,
+        text: el.textContent,
+    }));
+    const speed = 80;
+    let timers = [];
+
+    function clear() {
+        timers.forEach((timer) => clearTimeout(timer));
+        timers = [];
+        typingElements.forEach(({ el }) => {
+            el.textContent = '';
+            el.style.opacity = '1';
+        });
+    }
 
-        let i = 0;
-        const speed = 80;
+    function typeAll() {
+        clear();
+        typingElements.forEach(({ el, text }) => {
+            let i = 0;
 
-        function type() {
-            if (i < text.length) {
-                el.textContent += text.charAt(i);
-                i++;
-                setTimeout(type, speed);
+            function type() {
+                if (i < text.length) {
+                    el.textContent += text.charAt(i);
+                    i++;
+                    timers.push(setTimeout(type, speed));
+                }
             }
-        }
+            type();
+        });
+    }
 
-        // Start typing after entry animation (longer delay for 3D)
-        setTimeout(type, 3500);
-    });
+    clear();
+    events.on('boot:start', clear);
+    events.on('boot:complete', typeAll);
+    if (!getActiveScene()) {
+        typeAll();
+    }
 }
 
 /* ═══ Glitch Effect on Hover ═══ */
@@ -57,19 +129,7 @@ function initGlitchOnHover() {
 
 /* ═══ Terminal Effects ═══ */
 function initTerminalEffects() {
-    // Random "typing" effect on project items hover
-    const projectItems = document.querySelectorAll('.project-item');
-
-    projectItems.forEach(item => {
-        item.addEventListener('mouseenter', () => {
-            item.style.background = 'rgba(137, 180, 250, 0.05)';
-            item.style.transition = 'background 0.2s ease';
-        });
-
-        item.addEventListener('mouseleave', () => {
-            item.style.background = 'transparent';
-        });
-    });
+    // Project row hover is plain CSS (.project-item:hover) since rows are re-rendered on sort
 
     // Skill card hover effects
     const skillCards = document.querySelectorAll('.skill-card');
@@ -77,7 +137,7 @@ function initTerminalEffects() {
     skillCards.forEach(card => {
         card.addEventListener('mouseenter', () => {
             card.style.borderColor = 'var(--accent-primary)';
-            card.style.boxShadow = '0 0 15px rgba(137, 180, 250, 0.2)';
+            card.style.boxShadow = '0 0 15px color-mix(in srgb, var(--blue) 20%, transparent)';
         });
 
         card.addEventListener('mouseleave', () => {
@@ -88,56 +148,70 @@ function initTerminalEffects() {
 }
 
 /* ═══ Skill File Icons ═══ */
-function initSkillButtons() {
+
+// Open a skill file in the popup; returns false if there is no such skill.
+// `trigger` is the element focus returns to on close (defaults to the focused one);
+// `focus: false` leaves focus where it is, e.g. in the shell.
+function openSkill(skillName, { feedback = true, history = true, focus = true, trigger = null } = {}) {
     const skillPopup = document.getElementById('skill-popup');
     const skillPopupBody = document.getElementById('skill-popup-body');
     const skillPopupTitle = document.getElementById('skill-popup-title');
+    const skill = getSkill(skillName);
 
-    if (!skillPopup || !skillPopupBody) return;
+    if (!skillPopup || !skillPopupBody || !skill) return false;
 
-    // Skill position mapping (key is the base name without extension)
-    const skillPositions = {
-        'backend': 'top-left',
-        'frontend': 'top-right',
-        'devops': 'bottom'
-    };
+    skillPopupBody.innerHTML = renderSkillDetail(skill);
 
-    // Helper to handle skill file activation
-    function handleSkillClick(skillFile) {
-        const skillName = skillFile.dataset.skill;
-        const template = document.getElementById(`skill-${skillName}`);
+    // Update the popup title to show the skill filename
+    if (skillPopupTitle) {
+        skillPopupTitle.textContent = `cat ${skillName}`;
+    }
 
-        if (template) {
-            skillPopupBody.innerHTML = '';
-            skillPopupBody.appendChild(template.content.cloneNode(true));
+    // Use 3D popup if available
+    const scene = getActiveScene();
+    if (scene) {
+        scene.showPopup(skill.position);
+    } else {
+        showDocumentPopup('skill');
+    }
+    if (focus) {
+        focusPopup('skill', trigger);
+    }
 
-            // Update the popup title to show the skill filename
-            if (skillPopupTitle) {
-                skillPopupTitle.textContent = `cat ${skillName}`;
-            }
+    if (history && router) {
+        router.push({ panel: getPanel('skills'), file: skillName });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: `cat ~/skills/${skillName}` });
+    }
+    return true;
+}
 
-            // Use 3D popup if available
-            if (window.portfolioScene && window.portfolioScene.showPopup) {
-                // Extract base name (e.g., 'backend.sh' -> 'backend')
-                const baseName = skillName.split('.')[0];
-                const position = skillPositions[baseName] || 'center';
-                window.portfolioScene.showPopup(position);
-            } else {
-                skillPopup.classList.add('active');
-            }
-            addTerminalFeedback(`cat ~/skills/${skillName}`);
-        }
+function closeSkill({ feedback = true, history = true } = {}) {
+    const scene = getActiveScene();
+    if (scene) {
+        scene.hidePopup('skill');
+    } else {
+        hideDocumentPopup('skill');
     }
+    restorePopupFocus('skill');
 
-    // Helper to close popup
-    function closePopup() {
-        if (window.portfolioScene && window.portfolioScene.hidePopup) {
-            window.portfolioScene.hidePopup();
-        } else {
-            skillPopup.classList.remove('active');
-        }
-        addTerminalFeedback('q');
+    if (history && router) {
+        router.push({ panel: getPanel('skills') });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: 'q' });
     }
+}
+
+function initSkillButtons() {
+    const skillsFiles = document.getElementById('skills-files');
+    if (skillsFiles) renderSkillGrid(skillsFiles);
+
+    const skillPopup = document.getElementById('skill-popup');
+    const skillPopupBody = document.getElementById('skill-popup-body');
+
+    if (!skillPopup || !skillPopupBody) return;
 
     // Click handler for skill file icons
     document.addEventListener('click', (e) => {
@@ -145,7 +219,7 @@ function initSkillButtons() {
         if (skillFile) {
             e.preventDefault();
             e.stopPropagation();
-            handleSkillClick(skillFile);
+            openSkill(skillFile.dataset.skill, { trigger: skillFile });
             return;
         }
 
@@ -153,7 +227,7 @@ function initSkillButtons() {
         if (e.target.closest('.skill-popup-close')) {
             e.preventDefault();
             e.stopPropagation();
-            closePopup();
+            closeSkill();
             return;
         }
     });
@@ -163,111 +237,664 @@ function initSkillButtons() {
         const skillFile = e.target.closest('.skill-file');
         if (skillFile) {
             e.preventDefault();
-            handleSkillClick(skillFile);
+            openSkill(skillFile.dataset.skill, { trigger: skillFile });
             return;
         }
 
         if (e.target.closest('.skill-popup-close')) {
             e.preventDefault();
-            closePopup();
+            closeSkill();
+            return;
+        }
+    }, { passive: false });
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isPopupOpen('skill')) {
+            closeSkill();
+            e.stopPropagation();
+        }
+    });
+}
+
+/* ═══ Terminal Windows ═══ */
+
+// Open a skill, project or post in a terminal window of its own, next to any already open.
+// Returns false for an unknown name, or in reading mode, which has no windows.
+function openWindow(kind, name) {
+    const scene = getActiveScene();
+    if (!scene) return false;
+
+    if (kind === 'skill') {
+        const skill = getSkill(name);
+        if (!skill) return false;
+        scene.windows.open({
+            key: `skill:${name}`,
+            panel: getPanel('skills'),
+            title: `cat ${name}`,
+            content: `<div class="skill-popup-body">${renderSkillDetail(skill)}</div>`,
+        });
+    } else if (kind === 'post') {
+        const post = getPost(name);
+        if (!post) return false;
+        scene.windows.open({
+            key: `post:${post.file}`,
+            panel: getPanel('posts'),
+            title: `less ${post.file}`,
+            content: `<div class="post-popup-body">${renderPostDetail(post)}</div>`,
+        });
+    } else {
+        const project = getProject(name);
+        if (!project) return false;
+        scene.windows.open({
+            key: `project:${name}`,
+            panel: getPanel('projects'),
+            title: `cat ${project.name}/README.md`,
+            content: renderProjectDetail(project),
+        });
+    }
+    return true;
+}
+
+/* ═══ Projects ═══ */
+
+// Re-render ~/projects in the given order, showing the command that produced it
+function listProjects(sortOptions = {}, command = 'ls -la ~/projects') {
+    const list = document.getElementById('projects-list');
+    const commandText = document.getElementById('projects-command');
+    const projects = sortProjects(PROJECTS, sortOptions);
+
+    if (list) renderProjectList(list, projects);
+    if (commandText) commandText.textContent = command;
+
+    return projects;
+}
+
+// Open a project's README in the popup; returns false if there is no such project.
+// Focus options as for openSkill.
+function openProject(name, { feedback = true, history = true, focus = true, trigger = null } = {}) {
+    const projectPopup = document.getElementById('project-popup');
+    const projectPopupBody = document.getElementById('project-popup-body');
+    const projectPopupTitle = document.getElementById('project-popup-title');
+    const project = getProject(name);
+
+    if (!projectPopup || !projectPopupBody || !project) return false;
+
+    projectPopupBody.innerHTML = renderProjectDetail(project);
+    projectPopupBody.scrollTop = 0;
+
+    if (projectPopupTitle) {
+        projectPopupTitle.textContent = `cat ${project.name}/README.md`;
+    }
+
+    // Use 3D popup if available
+    const scene = getActiveScene();
+    if (scene) {
+        scene.showPopup('center', 'project');
+    } else {
+        showDocumentPopup('project');
+    }
+    if (focus) {
+        focusPopup('project', trigger);
+    }
+
+    if (history && router) {
+        router.push({ panel: getPanel('projects'), file: project.name });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: `cat ~/projects/${project.name}/README.md` });
+    }
+    return true;
+}
+
+function closeProject({ feedback = true, history = true } = {}) {
+    const scene = getActiveScene();
+    if (scene) {
+        scene.hidePopup('project');
+    } else {
+        hideDocumentPopup('project');
+    }
+    restorePopupFocus('project');
+
+    if (history && router) {
+        router.push({ panel: getPanel('projects') });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: 'q' });
+    }
+}
+
+function initProjects() {
+    listProjects();
+
+    const projectPopup = document.getElementById('project-popup');
+    if (!projectPopup) return;
+
+    // Click handler for project rows
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.project-popup-close')) {
+            e.preventDefault();
+            e.stopPropagation();
+            closeProject();
+            return;
+        }
+
+        const projectItem = e.target.closest('.project-item');
+        if (projectItem) {
+            e.preventDefault();
+            e.stopPropagation();
+            openProject(projectItem.dataset.project, { trigger: projectItem.querySelector('a') });
+        }
+    });
+
+    // Also handle touchend for more reliable mobile taps
+    document.addEventListener('touchend', (e) => {
+        if (e.target.closest('.project-popup-close')) {
+            e.preventDefault();
+            closeProject();
             return;
         }
+
+        const projectItem = e.target.closest('.project-item');
+        if (projectItem) {
+            e.preventDefault();
+            openProject(projectItem.dataset.project, { trigger: projectItem.querySelector('a') });
+        }
     }, { passive: false });
 
     // Close on escape key
     document.addEventListener('keydown', (e) => {
-        const isPopupVisible = window.portfolioScene?.isPopupVisible?.() ||
-                               skillPopup.classList.contains('active');
-        if (e.key === 'Escape' && isPopupVisible) {
-            closePopup();
+        if (e.key === 'Escape' && isPopupOpen('project')) {
+            closeProject();
+            e.stopPropagation();
+        }
+    });
+}
+
+/* ═══ Posts ═══ */
+
+// Open a post in the pager popup; returns false if there is no such post.
+// Focus options as for openSkill.
+function openPost(name, { feedback = true, history = true, focus = true, trigger = null } = {}) {
+    const postPopupBody = document.getElementById('post-popup-body');
+    const postPopupTitle = document.getElementById('post-popup-title');
+    const post = getPost(name);
+
+    if (!postPopupBody || !post) return false;
+
+    postPopupBody.innerHTML = renderPostDetail(post);
+    if (postPopupTitle) {
+        postPopupTitle.textContent = `less ${post.file}`;
+    }
+
+    const scene = getActiveScene();
+    if (scene) {
+        scene.showPopup('center', 'post');
+    } else {
+        showDocumentPopup('post');
+    }
+    // Measure for the prompt once the popup is laid out
+    postPager.reset(post.file);
+    if (focus) {
+        focusPopup('post', trigger);
+    }
+
+    if (history && router) {
+        router.push({ panel: getPanel('posts'), file: post.file });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: `less ~/posts/${post.file}` });
+    }
+    return true;
+}
+
+function closePost({ feedback = true, history = true } = {}) {
+    const scene = getActiveScene();
+    if (scene) {
+        scene.hidePopup('post');
+    } else {
+        hideDocumentPopup('post');
+    }
+    restorePopupFocus('post');
+
+    if (history && router) {
+        router.push({ panel: getPanel('posts') });
+    }
+    if (feedback) {
+        events.emit('terminal:feedback', { command: 'q' });
+    }
+}
+
+function initPosts() {
+    const list = document.getElementById('posts-list');
+    if (list) renderPostList(list);
+
+    const postPopup = document.getElementById('post-popup');
+    const postPopupBody = document.getElementById('post-popup-body');
+    if (!postPopup || !postPopupBody) return;
+
+    postPager = new Pager(postPopupBody, {
+        status: document.getElementById('post-popup-status'),
+        onQuit: () => closePost(),
+    });
+    postPager.attach(postPopup);
+
+    const handle = (e) => {
+        if (e.target.closest('.post-popup-close')) {
+            e.preventDefault();
+            e.stopPropagation();
+            closePost();
+            return;
+        }
+
+        const postItem = e.target.closest('.post-item');
+        if (postItem) {
+            e.preventDefault();
+            e.stopPropagation();
+            openPost(postItem.dataset.post, { trigger: postItem.querySelector('a') });
+        }
+    };
+    document.addEventListener('click', handle);
+    // Also handle touchend for more reliable mobile taps
+    document.addEventListener('touchend', handle, { passive: false });
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isPopupOpen('post')) {
+            closePost();
             e.stopPropagation();
         }
     });
 }
 
+// Whether a popup ('skill', 'project' or 'post') is showing, with or without the 3D scene
+function isPopupOpen(name) {
+    const scene = getActiveScene();
+    if (scene) {
+        return scene.isPopupVisible(name);
+    }
+    return Boolean(document.getElementById(`${name}-popup`)?.classList.contains('active'));
+}
+
+// Reading mode: popups sit in the document flow, so scroll them into view
+function showDocumentPopup(name) {
+    const popup = document.getElementById(`${name}-popup`);
+    popup.classList.add('active');
+    popup.scrollIntoView({ block: 'start' });
+}
+
+function hideDocumentPopup(name) {
+    const popup = document.getElementById(`${name}-popup`);
+    popup.classList.remove('active');
+}
+
+// Close every open popup; `except` keeps one open (used when routing)
+function closePopups({ except = null, feedback = false, history = true } = {}) {
+    if (except !== 'skill' && isPopupOpen('skill')) {
+        closeSkill({ feedback, history });
+    }
+    if (except !== 'project' && isPopupOpen('project')) {
+        closeProject({ feedback, history });
+    }
+    if (except !== 'post' && isPopupOpen('post')) {
+        closePost({ feedback, history });
+    }
+}
+
 /* ═══ Navigation HUD ═══ */
 function initNavHUD() {
-    const navButtons = document.querySelectorAll('.nav-btn');
+    const navHUD = document.getElementById('nav-hud');
+    if (!navHUD) return;
+
+    // One button per panel, left-to-right around the room
+    getPanelsByAngle().forEach(panel => {
+        const btn = document.createElement('button');
+        btn.className = 'nav-btn';
+        btn.dataset.panel = panel.id;
+        btn.title = `${panel.label} [${PANELS.indexOf(panel) + 1}]`;
+        btn.innerHTML = `
+            <span class="nav-arrow">${panel.icon}</span>
+            <span class="nav-label">${panel.label}</span>
+        `;
 
-    navButtons.forEach(btn => {
         btn.addEventListener('click', () => {
-            const direction = btn.dataset.direction;
-
-            // Update active state
-            navButtons.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-
-            // Call camera controls if available
-            if (window.portfolioScene && window.portfolioScene.controls) {
-                const controls = window.portfolioScene.controls;
-
-                switch (direction) {
-                    case 'front':
-                        controls.lookAtFront();
-                        addTerminalFeedback('look --front');
-                        break;
-                    case 'left':
-                        controls.lookAtLeft();
-                        addTerminalFeedback('look --left');
-                        break;
-                    case 'right':
-                        controls.lookAtRight();
-                        addTerminalFeedback('look --right');
-                        break;
-                    case 'back':
-                        controls.lookAtBack();
-                        addTerminalFeedback('look --back');
-                        break;
-                }
-            }
+            goToPanel(panel);
+            events.emit('terminal:feedback', { command: `look --${panel.label}` });
+        });
+
+        navHUD.appendChild(btn);
+    });
+
+    // Set initial active state; initPanelTracking follows the view from here
+    updateNavActive(PANELS[0].id);
+}
+
+/* ═══ Panel Tracking ═══ */
+// The scene reports the panel in view every time it changes, whether the
+// camera got there by nav button, shortcut, drag or gyroscope
+function initPanelTracking() {
+    const announcer = document.getElementById('panel-announcer');
+    let announced = PANELS[0];
+    let announceTimer = null;
+
+    events.on('panel:active', ({ panel }) => {
+        updateNavActive(panel.id);
+        document.title = panel === PANELS[0] ? BASE_TITLE : `${panel.label} :: ${BASE_TITLE}`;
+
+        // Wait for the view to settle so a swing past several panels reads out once
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            if (!announcer || panel === announced) return;
+            announced = panel;
+            announcer.textContent = `${panel.label} panel`;
+        }, ANNOUNCE_DELAY);
+    });
+}
+
+/* ═══ Interactive Shell ═══ */
+function initShell() {
+    const shellRoot = document.getElementById('shell');
+    if (!shellRoot) return;
+
+    const shell = new TerminalShell(shellRoot);
+    registerBuiltins(shell, {
+        openSkill: (skillName) => openSkill(skillName, { feedback: false, focus: false }),
+        openProject: (name) => openProject(name, { feedback: false, focus: false }),
+        // Focus moves into the post, unlike the opens above: the pager only hears j/k/space/q there
+        openPost: (name) => openPost(name, { feedback: false }),
+        openWindow,
+        closePopups: () => closePopups(),
+        listProjects,
+        goToPanel,
+        startTour,
+        stopTour: () => tour?.stop(),
+        getQuality: () => getActiveScene()?.getQuality() ?? null,
+        setQuality: (tier) => getActiveScene()?.setQuality(tier) ?? false,
+        reboot: () => getActiveScene()?.reboot() ?? false,
+    });
+}
+
+/* ═══ Deep Links ═══ */
+function initRouter() {
+    router = new HashRouter({
+        onNavigate: (route) => applyRoute(route),
+    });
+
+    // Pre-rendered panel pages (/skills/) are entry points for the same routes
+    if (!window.location.hash) {
+        const route = parseRoute(window.location.pathname);
+        if (route && route.panel !== PANELS[0]) {
+            window.history.replaceState(null, '', `/${formatRoute(route)}`);
+        }
+    }
+
+    // Restore the shared view: snap straight there, open files once booted
+    if (window.location.hash) {
+        const route = router.getRoute();
+        if (route) {
+            applyRoute(route, { instant: true });
+        } else {
+            router.replace({ panel: PANELS[0] });
+        }
+    }
+
+    router.start();
+
+    // Carry the current view over when switching between 3D and reading mode
+    document.addEventListener('readingmodechange', () => {
+        applyRoute(router.getRoute() || { panel: PANELS[0] }, { instant: true });
+    });
+}
+
+// Move the view to a route without recording history (restore/back/forward)
+function applyRoute({ panel, file }, { instant = false } = {}) {
+    const scene = getActiveScene();
+    const routedPopup = file ? { skills: 'skill', projects: 'project', posts: 'post' }[panel.id] : null;
+
+    closePopups({ except: routedPopup, history: false });
+
+    showPanel(panel, { instant });
+
+    if (file) {
+        // Drop unknown files from the URL rather than leave a dead link
+        const open = () => {
+            if (!openRouteFile(panel, file)) router.replace({ panel });
+        };
+        if (instant && scene?.entryAnimation) {
+            scene.entryAnimation.then(open);
+        } else {
+            open();
+        }
+    }
+}
+
+// Open a file addressed by a route; returns false if the panel has no such file
+function openRouteFile(panel, file) {
+    if (panel.id === 'skills') {
+        return openSkill(file, { feedback: false, history: false });
+    }
+    if (panel.id === 'projects') {
+        return openProject(file, { feedback: false, history: false });
+    }
+    if (panel.id === 'posts') {
+        return openPost(file, { feedback: false, history: false });
+    }
+    return false;
+}
+
+// Face a panel (or scroll to it without 3D).
+// In 3D the scene emits panel:active once the camera arrives.
+function showPanel(panel, { instant = false } = {}) {
+    const scene = getActiveScene();
+    if (scene) {
+        scene.controls.lookAtPanel(panel, instant);
+    } else {
+        document.getElementById(panel.element)?.scrollIntoView({
+            behavior: instant ? 'auto' : 'smooth',
         });
+        events.emit('panel:active', { panel });
+    }
+}
+
+// User-initiated panel change: move the view and record it in history
+function goToPanel(panel) {
+    showPanel(panel);
+    if (router) {
+        router.push({ panel });
+    }
+}
+
+/* ═══ Focus Navigation ═══ */
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Move focus into an open popup, remembering where to return it on close
+function focusPopup(name, trigger = null) {
+    const popup = document.getElementById(`${name}-popup`);
+    const previous = trigger || document.activeElement;
+
+    if (previous && previous !== document.body && !popup.contains(previous)) {
+        popupReturnFocus[name] = previous;
+    }
+    popup.focus({ preventScroll: true });
+}
+
+// Hand focus back to whatever opened the popup, unless the user has since moved it elsewhere
+function restorePopupFocus(name) {
+    const popup = document.getElementById(`${name}-popup`);
+    const target = popupReturnFocus[name];
+    delete popupReturnFocus[name];
+
+    const active = document.activeElement;
+    const focusWasInPopup = !active || active === document.body || popup?.contains(active);
+    if (target?.isConnected && focusWasInPopup) {
+        target.focus({ preventScroll: true });
+    }
+}
+
+// The open popup in the 3D scene, if any; reading mode popups are not modal
+function getOpenScenePopup() {
+    if (!getActiveScene()) return null;
+    const name = ['skill', 'project', 'post'].find((popupName) => isPopupOpen(popupName));
+    return name ? document.getElementById(`${name}-popup`) : null;
+}
+
+function initFocusNavigation() {
+    // Turn the camera toward whichever panel receives focus
+    document.addEventListener('focusin', (e) => {
+        const scene = getActiveScene();
+        if (!scene?.controls.enabled) return;
+
+        // Browsers scroll the clipped 3D viewport to reveal focused elements; undo that
+        const viewport = scene.cssRenderer.domElement;
+        viewport.scrollTop = 0;
+        viewport.scrollLeft = 0;
+
+        const panelElement = e.target.closest('.panel-3d');
+        const panel = panelElement && PANELS.find((entry) => entry.element === panelElement.id);
+        if (!panel || panel === scene.controls.getCurrentPanel()) return;
+
+        showPanel(panel);
+        // Track the view without adding a history entry per Tab press
+        if (router && !getOpenScenePopup()) {
+            router.replace({ panel });
+        }
+    });
+
+    // Keep Tab cycling inside an open popup; the shell stays reachable with / or `
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+
+        const popup = getOpenScenePopup();
+        if (!popup || e.target.closest?.('#shell')) return;
+
+        const focusable = [...popup.querySelectorAll(FOCUSABLE)];
+        if (!focusable.length) {
+            e.preventDefault();
+            popup.focus({ preventScroll: true });
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        // Wrap at either end; focus that escaped (or sits on the popup itself) re-enters
+        let next = null;
+        if (!popup.contains(active)) {
+            next = e.shiftKey ? last : first;
+        } else if (e.shiftKey && (active === first || active === popup)) {
+            next = last;
+        } else if (!e.shiftKey && active === last) {
+            next = first;
+        }
+
+        if (next) {
+            e.preventDefault();
+            next.focus({ preventScroll: true });
+        }
+    });
+}
+
+/* ═══ Guided Tour ═══ */
+
+// One step per panel, plus one per skill file while on ~/skills
+function buildTourSteps() {
+    const visitPanel = (panel) => {
+        closePopups({ history: false });
+        showPanel(panel);
+        router?.replace({ panel });
+    };
+    const steps = [];
+
+    PANELS.forEach((panel) => {
+        steps.push({ command: `cd ${panel.path}`, detail: panel.caption, run: () => visitPanel(panel) });
+
+        if (panel.id === 'skills') {
+            SKILLS.forEach((skill) => {
+                steps.push({
+                    command: `cat ${skill.name}`,
+                    detail: skill.tags.join(' · '),
+                    run: () => {
+                        openSkill(skill.name, { feedback: false, history: false, focus: false });
+                        router?.replace({ panel, file: skill.name });
+                    },
+                });
+            });
+        }
     });
 
-    // Set initial active state
-    const frontBtn = document.querySelector('.nav-btn[data-direction="front"]');
-    if (frontBtn) frontBtn.classList.add('active');
+    steps.push({
+        command: 'help',
+        detail: `drag to look around · 1-${PANELS.length} jump to a panel · / opens the shell`,
+        duration: 5000,
+        run: () => visitPanel(PANELS[0]),
+    });
+    return steps;
+}
+
+// Start (or resume) once the boot sequence has handed over the controls
+function startTour() {
+    const booted = getActiveScene()?.entryAnimation || Promise.resolve();
+    booted.then(() => tour?.resume());
+}
+
+function initTour() {
+    const button = document.createElement('button');
+    button.className = 'nav-btn tour-btn';
+    button.dataset.tourControl = '';
+    button.title = 'guided tour';
+    button.setAttribute('aria-pressed', 'false');
+    button.innerHTML = `
+        <span class="nav-arrow">◉</span>
+        <span class="nav-label">tour</span>
+    `;
+
+    tour = new GuidedTour(buildTourSteps(), {
+        onStateChange: (state) => {
+            button.setAttribute('aria-pressed', String(state === GuidedTour.STATES.PLAYING));
+            button.classList.toggle('active', state === GuidedTour.STATES.PLAYING);
+        },
+    });
+
+    button.addEventListener('click', () => {
+        if (tour.isPlaying) {
+            tour.pause();
+        } else {
+            startTour();
+        }
+    });
+    document.getElementById('nav-hud')?.appendChild(button);
+
+    // ?tour autoplays after boot
+    if (new URLSearchParams(window.location.search).has('tour')) {
+        startTour();
+    }
 }
 
 /* ═══ Terminal Feedback ═══ */
 function addTerminalFeedback(command) {
-    // Create temporary feedback element
+    // Create temporary feedback element (styled by .terminal-feedback)
     const feedback = document.createElement('div');
-    feedback.style.cssText = `
-        position: fixed;
-        bottom: 80px;
-        left: 20px;
-        background: var(--crust, #11111b);
-        border: 1px solid var(--surface0, #313244);
-        padding: 0.5rem 1rem;
-        border-radius: 4px;
-        font-family: 'JetBrains Mono', monospace;
-        font-size: 0.8rem;
-        color: var(--green, #a6e3a1);
-        z-index: 1000;
-        opacity: 0;
-        transform: translateY(10px);
-        transition: opacity 0.3s ease, transform 0.3s ease;
-    `;
-    feedback.innerHTML = `<span style="color: var(--blue, #89b4fa);">$</span> ${command}`;
+    feedback.className = 'terminal-feedback';
+    feedback.innerHTML = `<span class="prompt">$</span> ${command}`;
 
     document.body.appendChild(feedback);
 
     // Animate in
     requestAnimationFrame(() => {
-        feedback.style.opacity = '1';
-        feedback.style.transform = 'translateY(0)';
+        feedback.classList.add('visible');
     });
 
     // Remove after delay
     setTimeout(() => {
-        feedback.style.opacity = '0';
-        feedback.style.transform = 'translateY(10px)';
+        feedback.classList.remove('visible');
         setTimeout(() => feedback.remove(), 300);
     }, 1500);
 }
 
-// Make addTerminalFeedback globally available for camera-controls.js
-window.addTerminalFeedback = addTerminalFeedback;
+// Anything can echo a command by emitting terminal:feedback
+events.on('terminal:feedback', ({ command }) => addTerminalFeedback(command));
 
 /* ═══ Console Easter Egg ═══ */
 console.log(`
@@ -297,59 +924,54 @@ console.log(`
 `, 'color: #89b4fa; font-family: monospace;');
 
 /* ═══ Keyboard Shortcuts for 3D Navigation ═══ */
+
+// Shortcuts go live with the camera controls, once the boot sequence is done
+let shortcutsReady = false;
+events.once('boot:complete', () => {
+    shortcutsReady = true;
+});
+
 document.addEventListener('keydown', (e) => {
     // Ignore if typing in an input
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
-    const controls = window.portfolioScene?.controls;
+    if (!shortcutsReady || !getActiveScene()) return;
 
-    switch (e.key) {
-        case '1':
-            // Look at front (hero)
-            if (controls) {
-                controls.lookAtFront();
-                updateNavActive('front');
-                addTerminalFeedback('goto panel[0]');
-            }
-            break;
-        case '2':
-            // Look at left (skills)
-            if (controls) {
-                controls.lookAtLeft();
-                updateNavActive('left');
-                addTerminalFeedback('goto panel[1]');
-            }
-            break;
-        case '3':
-            // Look at right (projects)
-            if (controls) {
-                controls.lookAtRight();
-                updateNavActive('right');
-                addTerminalFeedback('goto panel[2]');
-            }
-            break;
-        case '4':
-            // Look at back (stats)
-            if (controls) {
-                controls.lookAtBack();
-                updateNavActive('back');
-                addTerminalFeedback('goto panel[3]');
-            }
-            break;
-        case 'Escape':
-            // Reset to front
-            if (controls) {
-                controls.lookAtFront();
-                updateNavActive('front');
-                addTerminalFeedback('reset');
-            }
-            break;
+    // Number keys jump to panels in manifest order
+    const index = Number(e.key) - 1;
+    if (Number.isInteger(index) && index >= 0 && index < PANELS.length) {
+        goToPanel(PANELS[index]);
+        events.emit('terminal:feedback', { command: `goto panel[${index}]` });
+        return;
+    }
+
+    // ] and [ cycle focus through the open terminal windows
+    if (e.key === ']' || e.key === '[') {
+        getActiveScene().windows.focusNext(e.key === ']' ? 1 : -1);
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        // An open popup closes through its own Escape handler; the view stays put
+        if (getOpenScenePopup()) return;
+
+        // A focused terminal window closes before the view resets
+        const { windows } = getActiveScene();
+        const focusedWindow = windows.getFocusedWindow();
+        if (focusedWindow) {
+            windows.close(focusedWindow);
+            return;
+        }
+
+        // Reset to front
+        goToPanel(PANELS[0]);
+        events.emit('terminal:feedback', { command: 'reset' });
     }
 });
 
-function updateNavActive(direction) {
-    const navButtons = document.querySelectorAll('.nav-btn');
+function updateNavActive(panelId) {
+    const navButtons = document.querySelectorAll('.nav-btn[data-panel]');
     navButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.direction === direction);
+        btn.classList.toggle('active', btn.dataset.panel === panelId);
     });
 }
@@ -1,3 +1,5 @@
+import { PALETTE_KEYS } from './src/js/theme.js'
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -7,36 +9,11 @@ export default {
   theme: {
     extend: {
       colors: {
-        // Catppuccin Mocha palette
-        crust: '#11111b',
-        mantle: '#181825',
-        base: '#1e1e2e',
-        surface0: '#313244',
-        surface1: '#45475a',
-        surface2: '#585b70',
-        overlay0: '#6c7086',
-        overlay1: '#7f849c',
-        overlay2: '#9399b2',
-        subtext0: '#a6adc8',
-        subtext1: '#bac2de',
-        text: '#cdd6f4',
-        lavender: '#b4befe',
-        blue: '#89b4fa',
-        sapphire: '#74c7ec',
-        sky: '#89dceb',
-        teal: '#94e2d5',
-        green: '#a6e3a1',
-        yellow: '#f9e2af',
-        peach: '#fab387',
-        maroon: '#eba0ac',
-        red: '#f38ba8',
-        mauve: '#cba6f7',
-        pink: '#f5c2e7',
-        flamingo: '#f2cdcd',
-        rosewater: '#f5e0dc',
+        // Catppuccin palette, following the active flavour (src/js/theme.js)
+        ...Object.fromEntries(PALETTE_KEYS.map((name) => [name, `var(--${name})`])),
         // Semantic aliases
-        accent: '#89b4fa',
-        'accent-secondary': '#cba6f7',
+        accent: 'var(--accent-primary)',
+        'accent-secondary': 'var(--accent-secondary)',
       },
       fontFamily: {
         mono: ['JetBrains Mono', 'Space Mono', 'monospace'],
@@ -0,0 +1,164 @@
+/* ═══════════════════════════════════════════════════════════════
+   TEST HARNESS
+   Opens the built site through scripts/browser.js (vite preview +
+   headless Chrome) and compares screenshots with the PNGs in
+   tests/baselines/.
+
+   Baselines have to come from the CI headless Chrome (the
+   visual-baselines workflow); screenshots from other machines differ
+   in font rendering. Until tests/baselines/ holds any, the visual
+   tests are skipped; after that a missing baseline fails its test.
+   UPDATE_BASELINES=1 npm test writes or accepts screenshots.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { existsSync, readdirSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export {
+    freezeAnimations,
+    launchBrowser,
+    nextFrames,
+    openPortfolio,
+    sleep,
+    startServer,
+    VIEWPORT,
+    waitForCamera,
+} from '../scripts/browser.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const BASELINE_DIR = join(ROOT, 'tests', 'baselines');
+const OUTPUT_DIR = join(ROOT, 'tests', '__output__');
+
+// Per-channel difference still counted as the same pixel (antialiasing noise),
+// and the share of differing pixels a screenshot may have
+const CHANNEL_TOLERANCE = 16;
+const MAX_MISMATCH_RATIO = 0.005;
+
+// ═══ SCREENSHOT DIFFING ═══
+
+// False until the first baselines are committed
+export function hasBaselines() {
+    return existsSync(BASELINE_DIR) && readdirSync(BASELINE_DIR).some((file) => file.endsWith('.png'));
+}
+
+/**
+ * Compare a screenshot with tests/baselines/<name>.png.
+ * UPDATE_BASELINES=1 writes the screenshot as the new baseline instead; without
+ * it a missing baseline is a failure. On a failure the actual image (and the diff,
+ * if there is one) goes to tests/__output__/.
+ * @returns {Promise<{ match: boolean, ratio: number, message: string }>}
+ */
+export async function compareWithBaseline(browser, name, screenshot) {
+    const baselinePath = join(BASELINE_DIR, `${name}.png`);
+
+    if (process.env.UPDATE_BASELINES) {
+        await mkdir(BASELINE_DIR, { recursive: true });
+        await writeFile(baselinePath, screenshot);
+        return { match: true, ratio: 0, message: `wrote baseline ${name}.png` };
+    }
+
+    if (!existsSync(baselinePath)) {
+        await writeOutput(name, screenshot, null);
+        return {
+            match: false,
+            ratio: 1,
+            message: `${name}: no baseline tests/baselines/${name}.png ` +
+                '(run UPDATE_BASELINES=1 npm test and commit it)',
+        };
+    }
+
+    const baseline = await readFile(baselinePath);
+    const result = await diffImages(browser, baseline, screenshot);
+
+    if (result.sizeMismatch) {
+        await writeOutput(name, screenshot, null);
+        return { match: false, ratio: 1, message: `${name}: size ${result.actualSize} != baseline ${result.baselineSize}` };
+    }
+
+    const ratio = result.mismatched / result.total;
+    if (ratio <= MAX_MISMATCH_RATIO) {
+        return { match: true, ratio, message: `${name}: ${(ratio * 100).toFixed(3)}% differs` };
+    }
+
+    await writeOutput(name, screenshot, Buffer.from(result.diff.split(',')[1], 'base64'));
+    return {
+        match: false,
+        ratio,
+        message: `${name}: ${(ratio * 100).toFixed(3)}% of pixels differ (see tests/__output__/${name}.*.png)`,
+    };
+}
+
+async function writeOutput(name, actual, diff) {
+    await mkdir(OUTPUT_DIR, { recursive: true });
+    await writeFile(join(OUTPUT_DIR, `${name}.actual.png`), actual);
+    if (diff) {
+        await writeFile(join(OUTPUT_DIR, `${name}.diff.png`), diff);
+    }
+}
+
+// Decode both PNGs in a blank page and count pixels that differ, painting them
+// red over a faded copy of the baseline
+async function diffImages(browser, baseline, actual) {
+    const page = await browser.newPage();
+    try {
+        return await page.evaluate(async (baselineData, actualData, tolerance) => {
+            const load = (src) => new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = reject;
+                image.src = src;
+            });
+            const [expected, received] = await Promise.all([load(baselineData), load(actualData)]);
+
+            if (expected.width !== received.width || expected.height !== received.height) {
+                return {
+                    sizeMismatch: true,
+                    baselineSize: `${expected.width}x${expected.height}`,
+                    actualSize: `${received.width}x${received.height}`,
+                };
+            }
+
+            const { width, height } = expected;
+            const pixels = (image) => {
+                const canvas = new OffscreenCanvas(width, height);
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0);
+                return context.getImageData(0, 0, width, height).data;
+            };
+            const a = pixels(expected);
+            const b = pixels(received);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            const output = context.createImageData(width, height);
+
+            let mismatched = 0;
+            for (let i = 0; i < a.length; i += 4) {
+                const delta = Math.max(
+                    Math.abs(a[i] - b[i]),
+                    Math.abs(a[i + 1] - b[i + 1]),
+                    Math.abs(a[i + 2] - b[i + 2]),
+                );
+                if (delta > tolerance) {
+                    mismatched++;
+                    output.data.set([255, 0, 0, 255], i);
+                } else {
+                    const gray = (a[i] + a[i + 1] + a[i + 2]) / 3;
+                    output.data.set([gray, gray, gray, 64], i);
+                }
+            }
+            context.putImageData(output, 0, 0);
+
+            return { mismatched, total: width * height, diff: canvas.toDataURL('image/png') };
+        },
+        `data:image/png;base64,${baseline.toString('base64')}`,
+        `data:image/png;base64,${Buffer.from(actual).toString('base64')}`,
+        CHANNEL_TOLERANCE);
+    } finally {
+        await page.close();
+    }
+}
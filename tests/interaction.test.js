@@ -0,0 +1,129 @@
+/* ═══════════════════════════════════════════════════════════════
+   INTERACTIONS
+   Real clicks and key presses against the built site: skill files
+   open the popup where src/content/skills.json puts it, Escape
+   closes it, and the number keys turn to the matching panel.
+   ═══════════════════════════════════════════════════════════════ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, test } from 'node:test';
+import { PANELS } from '../src/js/panels.js';
+import {
+    launchBrowser,
+    openPortfolio,
+    startServer,
+    VIEWPORT,
+    waitForCamera,
+} from './harness.js';
+
+const skillMeta = JSON.parse(
+    await readFile(new URL('../src/content/skills.json', import.meta.url), 'utf8'),
+);
+
+let server;
+let browser;
+let page;
+let errors;
+
+before(async () => {
+    server = await startServer();
+    browser = await launchBrowser();
+    ({ page, errors } = await openPortfolio(browser, server.url));
+});
+
+after(async () => {
+    await browser?.close();
+    await server?.close();
+});
+
+// { active, position, rect } for the skill popup
+function getSkillPopup() {
+    return page.evaluate(() => {
+        const popup = window.portfolio.getActiveScene().popups.skill;
+        const { left, top, right, bottom } = popup.element.getBoundingClientRect();
+        return {
+            active: popup.element.classList.contains('active'),
+            position: popup.position,
+            rect: { left, top, right, bottom },
+        };
+    });
+}
+
+// Click the middle of an element's on-screen box. page.click() would scroll it
+// into view first, which shifts the CSS3D layer instead of turning the camera.
+async function clickSkill(name) {
+    const handle = await page.$(`.skill-file[data-skill="${name}"]`);
+    const box = await handle.boundingBox();
+    await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
+}
+
+function waitForPopupClosed() {
+    return page.waitForFunction(
+        () => !window.portfolio.getActiveScene().popups.skill.element.classList.contains('active'),
+        { timeout: 5000 },
+    );
+}
+
+test('clicking each skill file opens the popup at its configured position', async () => {
+    const skills = await page.$$eval('.skill-file', (files) => files.map((file) => file.dataset.skill));
+    assert.ok(skills.length > 0, 'no .skill-file elements rendered');
+
+    await page.keyboard.press(String(PANELS.findIndex((panel) => panel.id === 'skills') + 1));
+    await waitForCamera(page);
+
+    for (const skill of skills) {
+        await clickSkill(skill);
+        await waitForCamera(page);
+
+        const popup = await getSkillPopup();
+        const expected = skillMeta[skill]?.position || 'center';
+        assert.ok(popup.active, `${skill}: popup did not open`);
+        assert.equal(popup.position, expected, `${skill}: popup opened at ${popup.position}`);
+
+        // The camera pans to the popup, so its middle should be on screen
+        const centerX = (popup.rect.left + popup.rect.right) / 2;
+        const centerY = (popup.rect.top + popup.rect.bottom) / 2;
+        assert.ok(centerX > 0 && centerX < VIEWPORT.width, `${skill}: popup is off screen horizontally`);
+        assert.ok(centerY > 0 && centerY < VIEWPORT.height, `${skill}: popup is off screen vertically`);
+
+        const title = await page.$eval('#skill-popup-title', (el) => el.textContent);
+        assert.equal(title, `cat ${skill}`);
+
+        await page.keyboard.press('Escape');
+        await waitForPopupClosed();
+        await waitForCamera(page);
+    }
+});
+
+test('Escape closes an open skill popup', async () => {
+    const [skill] = await page.$$eval('.skill-file', (files) => files.map((file) => file.dataset.skill));
+    await page.keyboard.press(String(PANELS.findIndex((panel) => panel.id === 'skills') + 1));
+    await waitForCamera(page);
+
+    await clickSkill(skill);
+    assert.ok((await getSkillPopup()).active);
+
+    await page.keyboard.press('Escape');
+    await waitForPopupClosed();
+});
+
+test('number keys focus the matching panel', async () => {
+    // Keys typed into a focused control would not reach the shortcuts
+    await page.evaluate(() => document.activeElement?.blur());
+
+    for (const [index, panel] of PANELS.entries()) {
+        await page.keyboard.press(String(index + 1));
+        await waitForCamera(page);
+
+        const focused = await page.evaluate(() => window.portfolio.getActiveScene().getFocusedPanel()?.id);
+        assert.equal(focused, panel.id, `key ${index + 1} focused ${focused}`);
+
+        const active = await page.$eval('.nav-btn.active', (button) => button.dataset.panel);
+        assert.equal(active, panel.id, `key ${index + 1} highlighted ${active} in the nav HUD`);
+    }
+});
+
+test('no uncaught page errors', () => {
+    assert.deepEqual(errors.map(String), []);
+});
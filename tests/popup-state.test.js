@@ -0,0 +1,312 @@
+/* ═══════════════════════════════════════════════════════════════
+   POPUP STATE MACHINE
+   Unit tests for src/js/popup-state.js on a fake clock and a
+   stand-in element, so they run in plain Node without a browser.
+   ═══════════════════════════════════════════════════════════════ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { POPUP_STATES, PopupStateManager } from '../src/js/popup-state.js';
+
+const { CLOSED, OPENING, OPEN, CLOSING } = POPUP_STATES;
+
+// Timers that only fire when the test advances time
+class FakeClock {
+    constructor() {
+        this.time = 0;
+        this.nextId = 1;
+        this.timers = new Map();
+    }
+
+    setTimeout(callback, ms) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, at: this.time + ms });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    now() {
+        return this.time;
+    }
+
+    tick(ms) {
+        const until = this.time + ms;
+        for (;;) {
+            const due = [...this.timers.entries()]
+                .filter(([, timer]) => timer.at <= until)
+                .sort(([, a], [, b]) => a.at - b.at)[0];
+            if (!due) break;
+
+            const [id, timer] = due;
+            this.timers.delete(id);
+            this.time = timer.at;
+            timer.callback();
+        }
+        this.time = until;
+    }
+}
+
+// Just enough of an element for classList bookkeeping
+function createElement() {
+    const classes = new Set();
+    return {
+        classList: {
+            add: (...names) => names.forEach((name) => classes.add(name)),
+            remove: (...names) => names.forEach((name) => classes.delete(name)),
+            contains: (name) => classes.has(name),
+        },
+        classes,
+    };
+}
+
+function createPopup(options = {}) {
+    const clock = new FakeClock();
+    const element = createElement();
+    const changes = [];
+    const positions = [];
+    const popup = new PopupStateManager(element, {
+        transitionDuration: 100,
+        clock,
+        onStateChange: (to, from) => changes.push([from, to]),
+        onPositionNeeded: (position) => positions.push(position),
+        ...options,
+    });
+    return { popup, clock, element, changes, positions };
+}
+
+describe('PopupStateManager', () => {
+    let popup;
+    let clock;
+    let element;
+    let changes;
+    let positions;
+
+    beforeEach(() => {
+        ({ popup, clock, element, changes, positions } = createPopup());
+    });
+
+    test('starts closed, hidden and not interactive', () => {
+        assert.equal(popup.getState(), CLOSED);
+        assert.equal(popup.isVisible(), false);
+        assert.equal(popup.isInteractive(), false);
+        assert.deepEqual([...element.classes], []);
+    });
+
+    test('closed -> opening -> open', async () => {
+        const opened = popup.open('top-left');
+
+        assert.equal(popup.getState(), OPENING);
+        assert.deepEqual(positions, ['top-left']);
+        assert.ok(element.classList.contains('active'));
+        assert.ok(!element.classList.contains('interactive'));
+        assert.equal(popup.isVisible(), true);
+        assert.equal(popup.isInteractive(), false);
+
+        clock.tick(99);
+        assert.equal(popup.getState(), OPENING);
+
+        clock.tick(1);
+        assert.equal(popup.getState(), OPEN);
+        assert.ok(element.classList.contains('interactive'));
+        assert.equal(popup.isInteractive(), true);
+        assert.equal(await opened, true);
+        assert.deepEqual(changes, [[CLOSED, OPENING], [OPENING, OPEN]]);
+    });
+
+    test('open -> closing -> closed', async () => {
+        popup.open();
+        clock.tick(100);
+
+        const closed = popup.close();
+        assert.equal(popup.getState(), CLOSING);
+        assert.ok(element.classList.contains('fading'));
+        assert.ok(!element.classList.contains('interactive'));
+        assert.equal(popup.isVisible(), false);
+
+        clock.tick(100);
+        assert.equal(popup.getState(), CLOSED);
+        assert.deepEqual([...element.classes], []);
+        assert.equal(await closed, true);
+    });
+
+    test('opening interrupted by close() abandons the open', async () => {
+        const opened = popup.open();
+        clock.tick(50);
+        const closed = popup.close();
+
+        assert.equal(popup.getState(), CLOSING);
+        assert.equal(await opened, false);
+
+        // The old open timer must not fire into the closing state
+        clock.tick(50);
+        assert.equal(popup.getState(), CLOSING);
+        assert.ok(!element.classList.contains('interactive'));
+
+        clock.tick(50);
+        assert.equal(popup.getState(), CLOSED);
+        assert.equal(await closed, true);
+        assert.deepEqual(changes, [[CLOSED, OPENING], [OPENING, CLOSING], [CLOSING, CLOSED]]);
+    });
+
+    test('closing interrupted by open() reopens from the current state', async () => {
+        popup.open();
+        clock.tick(100);
+        const closed = popup.close();
+        clock.tick(50);
+        const reopened = popup.open('bottom');
+
+        assert.equal(popup.getState(), OPENING);
+        assert.equal(await closed, false);
+        assert.ok(!element.classList.contains('fading'));
+        assert.ok(element.classList.contains('active'));
+
+        // The old close timer must not hide the popup
+        clock.tick(50);
+        assert.ok(element.classList.contains('active'));
+
+        clock.tick(50);
+        assert.equal(popup.getState(), OPEN);
+        assert.equal(await reopened, true);
+        assert.deepEqual(positions, ['center', 'bottom']);
+    });
+
+    test('open() while open only repositions', async () => {
+        popup.open('top-left');
+        clock.tick(100);
+
+        assert.equal(await popup.open('top-right'), true);
+        assert.equal(popup.getState(), OPEN);
+        assert.deepEqual(positions, ['top-left', 'top-right']);
+        assert.equal(changes.length, 2);
+    });
+
+    test('open() while opening repositions and shares the pending promise', async () => {
+        const first = popup.open('top-left');
+        clock.tick(60);
+        const second = popup.open('top-right');
+
+        assert.equal(first, second);
+        assert.deepEqual(positions, ['top-left', 'top-right']);
+
+        clock.tick(40);
+        assert.equal(popup.getState(), OPEN);
+        assert.equal(await second, true);
+    });
+
+    test('close() while closed or closing does nothing new', async () => {
+        assert.equal(await popup.close(), true);
+        assert.deepEqual(changes, []);
+
+        popup.open();
+        clock.tick(100);
+        const first = popup.close();
+        clock.tick(30);
+        assert.equal(popup.close(), first);
+
+        clock.tick(70);
+        assert.equal(await first, true);
+        assert.equal(popup.getState(), CLOSED);
+    });
+
+    for (const [label, advance] of [
+        ['opening', (p, c) => { p.open(); c.tick(50); }],
+        ['open', (p, c) => { p.open(); c.tick(100); }],
+        ['closing', (p, c) => { p.open(); c.tick(100); p.close(); c.tick(50); }],
+    ]) {
+        test(`forceClose() from ${label} closes at once`, () => {
+            advance(popup, clock);
+            popup.forceClose();
+
+            assert.equal(popup.getState(), CLOSED);
+            assert.deepEqual([...element.classes], []);
+
+            // No leftover timer may change the state afterwards
+            clock.tick(1000);
+            assert.equal(popup.getState(), CLOSED);
+            assert.deepEqual([...element.classes], []);
+        });
+    }
+
+    test('forceClose() resolves an interrupted open with false', async () => {
+        const opened = popup.open();
+        popup.forceClose();
+        assert.equal(await opened, false);
+    });
+
+    test('forceClose() resolves an interrupted close with true', async () => {
+        popup.open();
+        clock.tick(100);
+        const closed = popup.close();
+        clock.tick(50);
+        popup.forceClose();
+        assert.equal(await closed, true);
+    });
+
+    test('forceClose() while closed records no transition', () => {
+        popup.forceClose();
+        assert.deepEqual(changes, []);
+        assert.deepEqual(popup.getHistory(), []);
+    });
+
+    test('records transitions with timestamps in history', () => {
+        popup.open();
+        clock.tick(100);
+        clock.tick(400);
+        popup.close();
+        clock.tick(100);
+
+        assert.deepEqual(popup.getHistory(), [
+            { from: CLOSED, to: OPENING, at: 0 },
+            { from: OPENING, to: OPEN, at: 100 },
+            { from: OPEN, to: CLOSING, at: 500 },
+            { from: CLOSING, to: CLOSED, at: 600 },
+        ]);
+    });
+
+    test('history is capped at historyLimit', () => {
+        ({ popup, clock } = createPopup({ historyLimit: 3 }));
+        popup.open();
+        clock.tick(100);
+        popup.close();
+        clock.tick(100);
+
+        const history = popup.getHistory();
+        assert.equal(history.length, 3);
+        assert.deepEqual(history[0], { from: OPENING, to: OPEN, at: 100 });
+    });
+
+    test('uses configured class names', () => {
+        ({ popup, clock, element } = createPopup({
+            classNames: { visible: 'is-open', closing: 'is-closing', interactive: 'is-live' },
+        }));
+
+        popup.open();
+        assert.deepEqual([...element.classes], ['is-open']);
+        clock.tick(100);
+        assert.deepEqual([...element.classes].sort(), ['is-live', 'is-open']);
+        popup.close();
+        assert.deepEqual([...element.classes].sort(), ['is-closing', 'is-open']);
+        clock.tick(100);
+        assert.deepEqual([...element.classes], []);
+    });
+
+    test('separate instances keep separate state on a shared clock', () => {
+        const shared = new FakeClock();
+        const skill = new PopupStateManager(createElement(), { clock: shared, transitionDuration: 100 });
+        const project = new PopupStateManager(createElement(), { clock: shared, transitionDuration: 200 });
+
+        skill.open();
+        project.open();
+        shared.tick(100);
+        assert.equal(skill.getState(), OPEN);
+        assert.equal(project.getState(), OPENING);
+
+        skill.close();
+        shared.tick(100);
+        assert.equal(skill.getState(), CLOSED);
+        assert.equal(project.getState(), OPEN);
+    });
+});
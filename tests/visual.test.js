@@ -0,0 +1,60 @@
+/* ═══════════════════════════════════════════════════════════════
+   VISUAL REGRESSION
+   One screenshot per panel, taken head-on with the camera snapped
+   straight to it, compared with tests/baselines/panel-<id>.png.
+   Skipped while no baselines are committed (see tests/harness.js).
+   ═══════════════════════════════════════════════════════════════ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { getPanelView, PANELS } from '../src/js/panels.js';
+import {
+    compareWithBaseline,
+    freezeAnimations,
+    hasBaselines,
+    launchBrowser,
+    openPortfolio,
+    startServer,
+    waitForCamera,
+} from './harness.js';
+
+const skip = !process.env.UPDATE_BASELINES && !hasBaselines() &&
+    'no baselines committed yet: run the visual-baselines workflow and commit tests/baselines/';
+
+let server;
+let browser;
+let page;
+let errors;
+
+before(async () => {
+    server = await startServer();
+    browser = await launchBrowser();
+    ({ page, errors } = await openPortfolio(browser, server.url));
+    await freezeAnimations(page);
+
+    // Park the pointer off the panels so nothing is hovered
+    await page.mouse.move(0, 0);
+});
+
+after(async () => {
+    await browser?.close();
+    await server?.close();
+});
+
+for (const panel of PANELS) {
+    test(`panel ${panel.id} matches its baseline`, { skip }, async () => {
+        const { theta, phi } = getPanelView(panel);
+        await page.evaluate((view) => {
+            window.portfolio.getActiveScene().controls.lookAt(view.theta, view.phi, true);
+        }, { theta, phi });
+        await waitForCamera(page);
+
+        const screenshot = await page.screenshot({ type: 'png' });
+        const result = await compareWithBaseline(browser, `panel-${panel.id}`, screenshot);
+        assert.ok(result.match, result.message);
+    });
+}
+
+test('no uncaught page errors', () => {
+    assert.deepEqual(errors.map(String), []);
+});
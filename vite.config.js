@@ -1,4 +1,22 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
+import { feedPlugin } from './plugins/feed.js'
+import { seoPlugin } from './plugins/seo.js'
+import { themePlugin } from './plugins/theme.js'
+
+// Absolute origin for feed links, canonical URLs and the sitemap; set SITE_URL when deploying elsewhere
+const SITE_URL = (process.env.SITE_URL || 'https://shank.dev').replace(/\/$/, '')
+const CONTENT_DIR = fileURLToPath(new URL('./src/content', import.meta.url))
+
+const PERSON = {
+  name: 'Dan Shank',
+  jobTitle: 'Developer',
+  email: 'dan@shank.dev',
+  sameAs: [
+    'https://github.com/danshank/',
+    'https://www.linkedin.com/in/daniel-shank-dev/',
+  ],
+}
 
 export default defineConfig({
   root: '.',
@@ -10,4 +28,22 @@ export default defineConfig({
   build: {
     outDir: 'dist',
   },
+  plugins: [
+    themePlugin(),
+    feedPlugin({
+      contentDir: CONTENT_DIR,
+      siteUrl: SITE_URL,
+      title: '~/posts :: Dan Shank',
+      author: PERSON.name,
+    }),
+    seoPlugin({
+      contentDir: CONTENT_DIR,
+      siteUrl: SITE_URL,
+      title: '~/dev :: portfolio',
+      description: 'Dan Shank, developer: building systems that matter. A terminal portfolio you can walk around in 3D.',
+      person: PERSON,
+      // Needs Chrome for Puppeteer; OG_IMAGES=0 builds without preview images
+      previewImages: process.env.OG_IMAGES !== '0',
+    }),
+  ],
 })